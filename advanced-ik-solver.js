@@ -1,7 +1,52 @@
 // Advanced IK Solver incorporating canvas-grid.jsx algorithms
+import { Kinematics } from './kinematics.js';
+import { Balance } from './balance.js';
+
 class AdvancedIKSolver {
-    constructor(bitruviusData) {
+    constructor(bitruviusData, options = {}) {
+        this.data = bitruviusData;
+        
+        // Seeded PRNG for perturbations. Every solve restarts the stream from the seed,
+        // so identical inputs always give bit-identical rotations.
+        this.seed = AdvancedIKSolver.DEFAULT_SEED;
+        this.rngState = 0;
+        this.setSeed(options.seed ?? AdvancedIKSolver.DEFAULT_SEED);
+
+        // Record of the most recent chain solve (see createDiagnostics). With `debug` on,
+        // the FABRIK point set after every iteration is kept in its `passes`.
+        this.debug = options.debug ?? false;
+        this.lastDiagnostics = null;
+
+        // Per-chain bone stretch from the latest solves ({ chainId: factor }, 1 is left out).
+        // computeWorld applies it, so the solver always sees the pose it produced.
+        this.stretch = {};
+    }
+
+    static DEFAULT_SEED = 0x2f6b1c3d;
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.rngState = this.seed;
+    }
+
+    resetSeed() {
+        this.setSeed(AdvancedIKSolver.DEFAULT_SEED);
+    }
+
+    // Swap in a different rig; chain stretch belongs to the old chains
+    setData(bitruviusData) {
         this.data = bitruviusData;
+        this.rngState = this.seed;
+        this.stretch = {};
+    }
+
+    // mulberry32: uniform in [0, 1)
+    random() {
+        this.rngState = (this.rngState + 0x6D2B79F5) >>> 0;
+        let t = this.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
 
     // Utility functions
@@ -11,34 +56,24 @@ class AdvancedIKSolver {
     clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
 
     computeWorld(jointId, rotations, canvasCenter) {
-        const path = [];
-        let cur = jointId;
-        while (cur) { 
-            path.unshift(cur); 
-            cur = this.data.JOINT_DEFS[cur]?.parent; 
-        }
-        
-        let wx = canvasCenter[0], wy = canvasCenter[1], wa = 0, pa = 0;
-        for (const j of path) {
-            if (j === "root") continue;
-            const jDef = this.data.JOINT_DEFS[j];
-            const [px, py] = jDef.pivot;
-            const c = Math.cos(wa), s = Math.sin(wa);
-            wx += px * c - py * s;
-            wy += px * s + py * c;
-            pa = wa;
-            wa += this.d2r(rotations[j] || 0);
-        }
-        return { x: wx, y: wy, angle: this.normA(this.r2d(wa)), parentAngle: this.normA(this.r2d(pa)) };
+        return Kinematics.computeWorld(this.data, jointId, rotations, canvasCenter, this.stretch);
+    }
+
+    setChainStretch(chainId, factor) {
+        if (factor > 1 + 1e-6) this.stretch[chainId] = factor;
+        else delete this.stretch[chainId];
     }
 
     solveIK_Advanced(chainId, targetX, targetY, currentRots, center) {
         const chainDef = this.data.IK_CHAINS[chainId];
+        this.lastDiagnostics = null;
         if (!chainDef) return currentRots;
 
         const jointIds = chainDef.joints;
         if (jointIds.length < 2) return currentRots;
 
+        this.rngState = this.seed;
+
         // 1. Build chain points and lengths
         const chainPoints = [];
         const chainLengths = [];
@@ -48,10 +83,13 @@ class AdvancedIKSolver {
             chainPoints.push({ x: world.x, y: world.y });
         });
 
+        // Bone offsets: a joint's bone points along its child's pivot, not its local x axis
+        const boneOffsets = [];
         for (let i = 0; i < jointIds.length - 1; i++) {
             const nextJointId = jointIds[i+1];
             const pivot = this.data.JOINT_DEFS[nextJointId].pivot;
             chainLengths.push(Math.hypot(pivot[0], pivot[1]));
+            boneOffsets.push(this.r2d(Math.atan2(pivot[1], pivot[0])));
         }
 
         const numPoints = chainPoints.length;
@@ -65,7 +103,8 @@ class AdvancedIKSolver {
         // Soft IK: Damping near the limit to prevent skipping/popping
         const softDist = totalChainLength * 0.12;
         const softThreshold = stretchLimit - softDist;
-        if (distToTarget > softThreshold) {
+        const softReach = distToTarget > softThreshold;
+        if (softReach) {
             const overflow = distToTarget - softThreshold;
             const dampedOverflow = softDist * (1 - Math.exp(-overflow / softDist));
             const newDist = softThreshold + dampedOverflow;
@@ -74,36 +113,35 @@ class AdvancedIKSolver {
             target.y = chainPoints[0].y + (target.y - chainPoints[0].y) * ratio;
         }
 
+        // Stretch: when the damped target still lies beyond the chain's rest length, every
+        // bone lengthens by the same factor (at most stretchRatio) so the chain reaches it
+        const stretch = Math.max(1, Math.hypot(target.x - chainPoints[0].x, target.y - chainPoints[0].y) / totalChainLength);
+        for (let i = 0; i < chainLengths.length; i++) chainLengths[i] *= stretch;
+
         const iterations = 50;
         const tolerance = 0.01;
+        let iterationsUsed = 0;
+        const passes = [];
         const initialBasePos = { ...chainPoints[0] };
 
-        // Natural Bias for limbs
-        if (numPoints >= 3) {
-            const isLeg = chainId.includes("leg");
-            const isArm = chainId.includes("arm");
-            if (isLeg || isArm) {
-                const isRight = chainId.includes("r_") || chainId.includes("_r");
-                const bendDirection = isRight ? 1 : -1;
-                const curveFactor = (chainDef.curveStrength || 0.5);
-
-                const shoulderX = chainPoints[0].x;
-                const shoulderY = chainPoints[0].y;
-                const targetVecX = target.x - shoulderX;
-                const targetVecY = target.y - shoulderY;
-                const targetDist = Math.hypot(targetVecX, targetVecY);
-
-                if (targetDist > 0.1) {
-                    const initialBendAngle = this.d2r(bendDirection * curveFactor * 20);
-                    const rotatedTargetVecX = targetVecX * Math.cos(initialBendAngle) - targetVecY * Math.sin(initialBendAngle);
-                    const rotatedTargetVecY = targetVecX * Math.sin(initialBendAngle) + targetVecY * Math.cos(initialBendAngle);
-
-                    const elbowTargetX = shoulderX + (rotatedTargetVecX / targetDist) * chainLengths[0];
-                    const elbowTargetY = shoulderY + (rotatedTargetVecY / targetDist) * chainLengths[0];
-                    
-                    chainPoints[1].x = elbowTargetX;
-                    chainPoints[1].y = elbowTargetY;
-                } 
+        // Seed the middle joints toward the pole side
+        const poleSide = this.getPoleSide(chainDef, chainPoints[0], target);
+        if (numPoints >= 3 && poleSide) {
+            const curveFactor = (chainDef.curveStrength || 0.5);
+
+            const baseX = chainPoints[0].x;
+            const baseY = chainPoints[0].y;
+            const targetVecX = target.x - baseX;
+            const targetVecY = target.y - baseY;
+            const targetDist = Math.hypot(targetVecX, targetVecY);
+
+            if (targetDist > 0.1) {
+                const initialBendAngle = this.d2r(poleSide * curveFactor * 20);
+                const rotatedTargetVecX = targetVecX * Math.cos(initialBendAngle) - targetVecY * Math.sin(initialBendAngle);
+                const rotatedTargetVecY = targetVecX * Math.sin(initialBendAngle) + targetVecY * Math.cos(initialBendAngle);
+
+                chainPoints[1].x = baseX + (rotatedTargetVecX / targetDist) * chainLengths[0];
+                chainPoints[1].y = baseY + (rotatedTargetVecY / targetDist) * chainLengths[0];
             }
         }
 
@@ -120,13 +158,14 @@ class AdvancedIKSolver {
             }
 
             if (currentDist < tolerance) break;
+            iterationsUsed++;
 
-            // SCEM-like perturbation: if stuck, add a small random nudge
+            // SCEM-like perturbation: if stuck, add a small seeded nudge
             if (iter > 10 && iter % 5 === 0 && currentDist > tolerance * 5) {
                 const temp = 3.0 * (1 - iter / iterations);
                 for (let i = 1; i < numPoints - 1; i++) {
-                    chainPoints[i].x += (Math.random() - 0.5) * temp;
-                    chainPoints[i].y += (Math.random() - 0.5) * temp;
+                    chainPoints[i].x += (this.random() - 0.5) * temp;
+                    chainPoints[i].y += (this.random() - 0.5) * temp;
                 }
             }
 
@@ -166,15 +205,15 @@ class AdvancedIKSolver {
                         if (i === 0 && pId) {
                             pAngle = this.computeWorld(pId, currentRots, center).angle;
                         } else if (i > 0) {
-                            pAngle = this.r2d(Math.atan2(chainPoints[i].y - chainPoints[i-1].y, chainPoints[i].x - chainPoints[i-1].x));
+                            pAngle = this.r2d(Math.atan2(chainPoints[i].y - chainPoints[i-1].y, chainPoints[i].x - chainPoints[i-1].x)) - boneOffsets[i-1];
                         }
                         
-                        const angle = this.r2d(Math.atan2(nextY - curr.y, nextX - curr.x));
+                        const angle = this.r2d(Math.atan2(nextY - curr.y, nextX - curr.x)) - boneOffsets[i];
                         let local = this.normA(angle - pAngle);
                         
                         if (local < lim.min || local > lim.max) {
                             local = this.clamp(local, lim.min, lim.max);
-                            const clampedGlobal = this.d2r(pAngle + local);
+                            const clampedGlobal = this.d2r(pAngle + local + boneOffsets[i]);
                             nextX = curr.x + Math.cos(clampedGlobal) * chainLengths[i];
                             nextY = curr.y + Math.sin(clampedGlobal) * chainLengths[i];
                         }
@@ -183,6 +222,10 @@ class AdvancedIKSolver {
                     chainPoints[i+1] = { x: nextX, y: nextY };
                 }
             }
+
+            // Keep the bend on the pole side
+            if (poleSide) this.enforcePoleSide(chainPoints, poleSide);
+            if (this.debug) passes.push(chainPoints.map(p => ({ ...p })));
         }
 
         const finalPoints = bestPoints;
@@ -199,16 +242,16 @@ class AdvancedIKSolver {
             let parentGlobalAngle = 0;
             if (i === 0) {
                 // First joint in chain: parent is real parent (or root)
-                if (pId && pId !== "root") {
+                if (pId) {
                     parentGlobalAngle = this.computeWorld(pId, currentRots, center).angle;
                 }
             } else {
                 // Middle joints: parent angle is angle from previous point to current point
-                parentGlobalAngle = this.r2d(Math.atan2(finalPoints[i].y - finalPoints[i-1].y, finalPoints[i].x - finalPoints[i-1].x));
+                parentGlobalAngle = this.r2d(Math.atan2(finalPoints[i].y - finalPoints[i-1].y, finalPoints[i].x - finalPoints[i-1].x)) - boneOffsets[i-1];
             }
 
             // Calculate bone vector angle (from current point to next point)
-            const boneGlobalAngle = this.r2d(Math.atan2(finalPoints[i+1].y - finalPoints[i].y, finalPoints[i+1].x - finalPoints[i].x));
+            const boneGlobalAngle = this.r2d(Math.atan2(finalPoints[i+1].y - finalPoints[i].y, finalPoints[i+1].x - finalPoints[i].x)) - boneOffsets[i];
             
             // The local angle is difference
             let localAngle = this.normA(boneGlobalAngle - parentGlobalAngle);
@@ -220,8 +263,575 @@ class AdvancedIKSolver {
             finalRots[jointId] = localAngle;
         }
 
+        this.setChainStretch(chainId, stretch);
+        this.lastDiagnostics = this.createDiagnostics(chainId, 'fabrik', finalRots, center, { x: targetX, y: targetY }, {
+            iterations: iterationsUsed,
+            converged: bestDist < tolerance,
+            softReach,
+            stretched: stretch > 1,
+            stretch,
+            passes
+        });
         return finalRots;
     }
+
+    // Diagnostics record for one chain solve: { chainId, solver, iterations, converged,
+    // residual (px from the effector to the requested target), limitedJoints (resting on
+    // a JOINT_LIMITS bound), softReach, stretched, stretch (bone length factor),
+    // passes (intermediate point sets) }
+    createDiagnostics(chainId, solver, rots, center, target, fields) {
+        const jointIds = this.data.IK_CHAINS[chainId].joints;
+        const effector = this.computeWorld(jointIds[jointIds.length - 1], rots, center);
+        const limitedJoints = jointIds.slice(0, -1).filter(id => {
+            const lim = this.data.JOINT_LIMITS[id];
+            const rot = rots[id] || 0;
+            return lim && (rot <= lim.min + 0.01 || rot >= lim.max - 0.01);
+        });
+
+        return {
+            chainId,
+            solver,
+            iterations: 0,
+            converged: false,
+            residual: Math.hypot(effector.x - target.x, effector.y - target.y),
+            limitedJoints,
+            softReach: false,
+            stretched: false,
+            stretch: 1,
+            passes: [],
+            ...fields
+        };
+    }
+
+    // Closed-form solve for a three-joint chain (two bones). The reach is eased into
+    // [|L1 - L2|, L1 + L2] with soft margins so the limb never snaps straight or folded
+    // (past full extension the bones stretch instead, up to the chain's stretchRatio),
+    // the bend follows the pole (or the current bend when there is none), and both
+    // rotations are clamped to JOINT_LIMITS. Chains of any other length fall back to
+    // solveIK_Advanced.
+    solveTwoBone(chainId, targetX, targetY, currentRots, center, options = {}) {
+        const chainDef = this.data.IK_CHAINS[chainId];
+        this.lastDiagnostics = null;
+        if (!chainDef) return currentRots;
+        if (chainDef.joints.length !== 3) {
+            return this.solveIK_Advanced(chainId, targetX, targetY, currentRots, center);
+        }
+
+        const [upperId, lowerId, effectorId] = chainDef.joints;
+        const defs = this.data.JOINT_DEFS;
+        const [p1x, p1y] = defs[lowerId].pivot;
+        const [p2x, p2y] = defs[effectorId].pivot;
+        const l1 = Math.hypot(p1x, p1y), l2 = Math.hypot(p2x, p2y);
+        const offset1 = Math.atan2(p1y, p1x), offset2 = Math.atan2(p2y, p2x);
+        if (l1 < 0.0001 || l2 < 0.0001) return currentRots;
+
+        const base = this.computeWorld(upperId, currentRots, center);
+        const parentAngle = this.d2r(base.parentAngle);
+        const dx = targetX - base.x, dy = targetY - base.y;
+        const dist = Math.hypot(dx, dy);
+        const current = this.computeWorld(effectorId, currentRots, center);
+        // A target on the base has no direction; keep the limb pointing where it is
+        const aim = dist > 0.0001
+            ? Math.atan2(dy, dx)
+            : Math.atan2(current.y - base.y, current.x - base.x);
+
+        // Soft reach: distance is eased toward the limits instead of clipped at them
+        const minReach = Math.abs(l1 - l2), maxReach = l1 + l2;
+        const soft = Math.min(options.softness ?? (l1 + l2) * 0.05, (maxReach - minReach) / 4);
+        let reach = dist;
+        if (soft > 0 && reach > maxReach - soft) {
+            reach = maxReach - soft * Math.exp(-(reach - (maxReach - soft)) / soft);
+        } else if (soft > 0 && reach < minReach + soft) {
+            reach = minReach + soft * Math.exp(-((minReach + soft) - reach) / soft);
+        }
+        reach = this.clamp(reach, minReach, maxReach);
+
+        // Stretch: the distance soft reach gives up near full extension is made up by
+        // lengthening both bones (at most stretchRatio), so the effector still lands on target
+        const stretch = dist > reach ? Math.min(dist / reach, Math.max(1, chainDef.stretchRatio || 1.1)) : 1;
+        this.setChainStretch(chainId, stretch);
+
+        // Bend side: pole first, then whichever way the limb already bends
+        let side = this.getPoleSide(chainDef, base, { x: targetX, y: targetY });
+        if (!side) {
+            const mid = this.computeWorld(lowerId, currentRots, center);
+            const cross = (current.x - base.x) * (mid.y - base.y) - (current.y - base.y) * (mid.x - base.x);
+            side = Math.sign(cross) || 1;
+        }
+
+        // Law of cosines for the angle between the base->target line and the upper bone
+        const cosBase = (l1 * l1 + reach * reach - l2 * l2) / (2 * l1 * Math.max(reach, 0.0001));
+        const upperBone = aim + side * Math.acos(this.clamp(cosBase, -1, 1));
+
+        const rots = { ...currentRots };
+        // Out-of-range angles go to whichever limit is nearer around the circle
+        const limitOf = (id, angle) => {
+            const lim = this.data.JOINT_LIMITS[id];
+            if (!lim || (angle >= lim.min && angle <= lim.max)) return angle;
+            const toMin = Math.abs(this.normA(angle - lim.min));
+            const toMax = Math.abs(this.normA(angle - lim.max));
+            return toMin <= toMax ? lim.min : lim.max;
+        };
+        const goal = { x: base.x + Math.cos(aim) * reach * stretch, y: base.y + Math.sin(aim) * reach * stretch };
+        const aimLower = (upperWorld) => {
+            const midX = base.x + Math.cos(upperWorld + offset1) * l1 * stretch;
+            const midY = base.y + Math.sin(upperWorld + offset1) * l1 * stretch;
+            const lowerBone = Math.atan2(goal.y - midY, goal.x - midX);
+            return limitOf(lowerId, this.normA(this.r2d(lowerBone - offset2 - upperWorld)));
+        };
+
+        const passes = [];
+        const recordPass = () => {
+            if (this.debug) passes.push(chainDef.joints.map(id => {
+                const { x, y } = this.computeWorld(id, rots, center);
+                return { x, y };
+            }));
+        };
+
+        rots[upperId] = limitOf(upperId, this.normA(this.r2d(upperBone - offset1 - parentAngle)));
+        rots[lowerId] = aimLower(parentAngle + this.d2r(rots[upperId]));
+        recordPass();
+        let iterations = 1;
+
+        // A clamped elbow changes the limb's shape; swing the whole limb back onto the target
+        const lowerLim = this.data.JOINT_LIMITS[lowerId];
+        if (lowerLim && (rots[lowerId] <= lowerLim.min || rots[lowerId] >= lowerLim.max)) {
+            const tip = this.computeWorld(effectorId, rots, center);
+            const swing = this.r2d(aim - Math.atan2(tip.y - base.y, tip.x - base.x));
+            rots[upperId] = limitOf(upperId, this.normA(rots[upperId] + swing));
+            rots[lowerId] = aimLower(parentAngle + this.d2r(rots[upperId]));
+            recordPass();
+            iterations++;
+        }
+
+        const diagnostics = this.createDiagnostics(chainId, 'analytical', rots, center, { x: targetX, y: targetY }, {
+            iterations,
+            softReach: reach !== dist,
+            stretched: stretch > 1,
+            stretch,
+            passes
+        });
+        diagnostics.converged = diagnostics.residual < 0.01;
+        this.lastDiagnostics = diagnostics;
+        return rots;
+    }
+
+    // Limb solve dispatch for solveFullBody: 'analytical' or 'fabrik' (default)
+    solveChain(chainId, targetX, targetY, currentRots, center, solver = 'fabrik') {
+        if (solver === 'analytical') {
+            return this.solveTwoBone(chainId, targetX, targetY, currentRots, center);
+        }
+        return this.solveIK_Advanced(chainId, targetX, targetY, currentRots, center);
+    }
+
+    // Bend side for a chain: sign of cross(target - base, pole - base) for a world-point
+    // pole, otherwise the fixed preferred side. 0 means no preference.
+    getPoleSide(chainDef, base, target) {
+        const pole = chainDef.pole;
+        if (!pole) return 0;
+        if (typeof pole.x === "number" && typeof pole.y === "number") {
+            const cross = (target.x - base.x) * (pole.y - base.y) - (target.y - base.y) * (pole.x - base.x);
+            if (Math.abs(cross) > 0.0001) return Math.sign(cross);
+        }
+        return Math.sign(pole.side || 0);
+    }
+
+    // Reflect the interior points across the base-effector line when they bend the wrong way.
+    // A reflection keeps every bone length, so this never breaks the chain.
+    enforcePoleSide(points, side) {
+        const n = points.length;
+        if (n < 3) return;
+        const base = points[0], end = points[n - 1];
+        const dx = end.x - base.x, dy = end.y - base.y;
+        const lenSq = dx * dx + dy * dy;
+        if (lenSq < 0.0001) return;
+
+        let bend = 0;
+        for (let i = 1; i < n - 1; i++) {
+            bend += dx * (points[i].y - base.y) - dy * (points[i].x - base.x);
+        }
+        if (Math.sign(bend) !== -side) return;
+
+        for (let i = 1; i < n - 1; i++) {
+            const px = points[i].x - base.x, py = points[i].y - base.y;
+            const t = (px * dx + py * dy) / lenSq;
+            const fx = dx * t, fy = dy * t;
+            points[i] = { x: base.x + 2 * fx - px, y: base.y + 2 * fy - py };
+        }
+    }
+
+    // Full-body solve: every targeted chain in priority order, with shared ancestors
+    // (torso, collars, waist) leaning to help chains that cannot reach on their own.
+    // targets: { chainId: { x, y } }; options.solver picks the limb solver (see solveChain).
+    // With options.moveRoot the root position is solved too and returned as `center`, within
+    // maxRootShift of options.rootOrigin (default: center).
+    // Ancestors lean at most maxLean from options.leanReference (default: currentRots); callers
+    // that feed each result back in should pass a fixed pose so the cap doesn't creep.
+    // Returns rotations and per-chain stretch, plus residual error and solve diagnostics.
+    solveFullBody(targets, currentRots, center, options = {}) {
+        const solver = options.solver ?? 'fabrik';
+        const passes = options.passes ?? 6;
+        const tolerance = options.tolerance ?? 1;
+        const leanRate = options.leanRate ?? 0.5;
+        const maxLean = options.maxLean ?? 30;
+        const leanReference = options.leanReference ?? currentRots;
+        const pins = options.pins ?? {};
+        const groundY = options.groundY ?? null;
+        const moveRoot = options.moveRoot ?? false;
+        const maxRootShift = options.maxRootShift ?? 40;
+        const rootOrigin = options.rootOrigin ?? center;
+
+        // Pinned joints pull the chain they hang from; a pin wins over that chain's target
+        const pinChains = {};
+        Object.keys(pins).forEach(jointId => {
+            const chainId = this.getPinChain(jointId);
+            if (chainId) pinChains[chainId] = jointId;
+        });
+        const chainIds = this.getChainSolveOrder([...new Set([...Object.keys(targets), ...Object.keys(pinChains)])]);
+
+        // Start from the current pose's stretch (options.stretch, else the last solve's);
+        // chains without a target relax back to their rest length
+        const startStretch = options.stretch ?? this.stretch;
+        this.stretch = {};
+        chainIds.forEach(id => { if (startStretch[id]) this.stretch[id] = startStretch[id]; });
+
+        if (chainIds.length === 0) {
+            const rotations = groundY === null ? currentRots : this.enforceGround(currentRots, center, groundY);
+            return { rotations, center: [center[0], center[1]], residuals: {}, satisfied: {}, diagnostics: {}, stretch: {}, passes: 0 };
+        }
+
+        const ancestors = this.getSharedAncestors(chainIds);
+        let rots = { ...currentRots };
+        let root = [center[0], center[1]];
+        let best = null;
+        let pass = 0;
+
+        while (pass < passes) {
+            pass++;
+            const diagnostics = {};
+            const passTargets = this.resolveTargets(chainIds, targets, pins, pinChains, rots, root, groundY);
+            chainIds.forEach(chainId => {
+                const tgt = passTargets[chainId];
+                rots = this.solveChain(chainId, tgt.x, tgt.y, rots, root, solver);
+                diagnostics[chainId] = this.lastDiagnostics;
+            });
+            if (groundY !== null) rots = this.enforceGround(rots, root, groundY);
+
+            const residuals = this.computeResiduals(chainIds, passTargets, rots, root);
+            const score = chainIds.reduce((sum, id) => sum + residuals[id] * this.getChainWeight(id), 0);
+            if (!best || score < best.score) {
+                best = { rotations: rots, center: root, residuals, diagnostics, stretch: { ...this.stretch }, score };
+            }
+
+            if (chainIds.every(id => residuals[id] <= tolerance)) break;
+            if (ancestors.length === 0 && !moveRoot) break;
+
+            if (moveRoot) root = this.shiftRoot(root, rootOrigin, chainIds, passTargets, residuals, rots, { tolerance, leanRate, maxRootShift });
+            rots = this.leanAncestors(ancestors, chainIds, passTargets, rots, leanReference, root, { tolerance, leanRate, maxLean });
+        }
+
+        const satisfied = {};
+        chainIds.forEach(id => satisfied[id] = best.residuals[id] <= tolerance);
+        this.stretch = { ...best.stretch };
+        return {
+            rotations: best.rotations,
+            center: best.center,
+            residuals: best.residuals,
+            satisfied,
+            diagnostics: best.diagnostics,
+            stretch: best.stretch,
+            passes: pass
+        };
+    }
+
+    // Chain that moves a pinned joint: the one whose effector is the joint or its nearest
+    // ancestor (a pinned toe is held by its leg chain), or null
+    getPinChain(jointId) {
+        const chains = Object.entries(this.data.IK_CHAINS);
+        for (let cur = jointId; cur; cur = this.data.JOINT_DEFS[cur]?.parent) {
+            const match = chains.find(([, def]) => (def.effector ?? def.joints[def.joints.length - 1]) === cur);
+            if (match) return match[0];
+        }
+        return null;
+    }
+
+    // Effector goal of every chain for one pass. A pin below the effector is converted with the
+    // current effector-to-joint offset, so it converges over the passes as the foot settles.
+    // With a ground plane, goals below it are lifted onto it.
+    resolveTargets(chainIds, targets, pins, pinChains, rots, center, groundY) {
+        const resolved = {};
+        chainIds.forEach(chainId => {
+            const jointId = pinChains[chainId];
+            let goal = targets[chainId];
+            if (jointId) {
+                const pin = pins[jointId];
+                const effectorId = this.data.IK_CHAINS[chainId].effector;
+                if (jointId === effectorId) {
+                    goal = pin;
+                } else {
+                    const eff = this.computeWorld(effectorId, rots, center);
+                    const joint = this.computeWorld(jointId, rots, center);
+                    goal = { x: pin.x - (joint.x - eff.x), y: pin.y - (joint.y - eff.y) };
+                }
+            }
+            resolved[chainId] = groundY === null ? { x: goal.x, y: goal.y } : { x: goal.x, y: Math.min(goal.y, groundY) };
+        });
+        return resolved;
+    }
+
+    // Lift every joint that ended up below groundY (canvas y grows downward) by rotating one of
+    // its nearest `maxDepth` ancestors just far enough to swing it back onto the ground, within
+    // limits. The joint's own limb is tried before shared ancestors (waist, torso, collars).
+    // Turning an ancestor also moves joints already checked, so the sweep repeats, at most
+    // `maxSweeps` times, until nothing is left below the ground.
+    enforceGround(currentRots, center, groundY, maxDepth = 3, maxSweeps = 4) {
+        const rots = { ...currentRots };
+        const defs = this.data.JOINT_DEFS;
+        const shared = new Set(this.getSharedAncestors(Object.keys(this.data.IK_CHAINS)));
+
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let lifted = false;
+            this.data.HIERARCHY.forEach(([jointId]) => {
+                const joint = this.computeWorld(jointId, rots, center);
+                if (joint.y <= groundY + 1e-6) return;
+
+                const candidates = [];
+                for (let cur = defs[jointId]?.parent; cur && defs[cur]?.parent && candidates.length < maxDepth; cur = defs[cur].parent) {
+                    candidates.push(cur);
+                }
+                candidates.sort((a, b) => shared.has(a) - shared.has(b));
+
+                for (const ancestorId of candidates) {
+                    const pivot = this.computeWorld(ancestorId, rots, center);
+                    const delta = this.groundLift(pivot, joint, groundY);
+                    if (delta === null) continue;
+                    const rotation = (rots[ancestorId] || 0) + delta;
+                    const lim = this.data.JOINT_LIMITS[ancestorId];
+                    if (!lim || (rotation >= lim.min && rotation <= lim.max)) {
+                        rots[ancestorId] = rotation;
+                        lifted = true;
+                        return;
+                    }
+                }
+            });
+            if (!lifted) break;
+        }
+        return rots;
+    }
+
+    // Smallest rotation (degrees) about `pivot` that brings `point` up to groundY, or null
+    // when the pivot is too low for any rotation to clear the ground
+    groundLift(pivot, point, groundY) {
+        const r = Math.hypot(point.x - pivot.x, point.y - pivot.y);
+        if (r < 1e-6) return null;
+        const k = (groundY - pivot.y) / r;
+        if (k < -1) return null;
+        const phi = Math.atan2(point.y - pivot.y, point.x - pivot.x);
+        const edge = Math.asin(Math.min(1, k));
+        const a = this.normA(this.r2d(edge - phi));
+        const b = this.normA(this.r2d(Math.PI - edge - phi));
+        return Math.abs(a) <= Math.abs(b) ? a : b;
+    }
+
+    // Aim constraint (AIM_CONSTRAINTS): turn the last joint so its local axis points at
+    // (targetX, targetY). Each joint, ancestors first, takes its weighted share of the
+    // remaining turn within its limits; later sweeps, aim joint first, hand whatever the
+    // limits held back to the joints that still have room.
+    solveAim(aimId, targetX, targetY, currentRots, center, sweeps = 2) {
+        const aim = this.data.AIM_CONSTRAINTS?.[aimId];
+        if (!aim) return currentRots;
+
+        const rots = { ...currentRots };
+        const jointIds = aim.joints;
+        const aimJoint = jointIds[jointIds.length - 1];
+        const weights = aim.weights ?? jointIds.map(() => 1);
+        const axisAngle = this.r2d(Math.atan2(aim.axis[1], aim.axis[0]));
+
+        for (let sweep = 0; sweep < sweeps; sweep++) {
+            const order = sweep === 0 ? jointIds.map((id, i) => i) : jointIds.map((id, i) => jointIds.length - 1 - i);
+            order.forEach(i => {
+                const jointId = jointIds[i];
+                const t = this.computeWorld(aimJoint, rots, center);
+                if (Math.hypot(targetX - t.x, targetY - t.y) < 0.001) return;
+                const error = this.normA(this.r2d(Math.atan2(targetY - t.y, targetX - t.x)) - (t.angle + axisAngle));
+
+                const remaining = weights.slice(i).reduce((sum, w) => sum + w, 0);
+                const share = sweep > 0 || i === jointIds.length - 1 ? 1 : (remaining > 0 ? weights[i] / remaining : 0);
+                let rotation = this.normA((rots[jointId] || 0) + error * share);
+                const lim = this.data.JOINT_LIMITS[jointId];
+                if (lim) rotation = this.clamp(rotation, lim.min, lim.max);
+                rots[jointId] = rotation;
+            });
+        }
+        return rots;
+    }
+
+    // Every aim constraint with a target ({ aimId: { x, y } }), run after the IK chains
+    solveAims(targets, currentRots, center) {
+        let rots = currentRots;
+        Object.entries(targets).forEach(([aimId, tgt]) => {
+            rots = this.solveAim(aimId, tgt.x, tgt.y, rots, center);
+        });
+        return rots;
+    }
+
+    // Angle (degrees) between an aim constraint's axis and the direction to its target
+    getAimError(aimId, targetX, targetY, rots, center) {
+        const aim = this.data.AIM_CONSTRAINTS?.[aimId];
+        if (!aim) return 0;
+        const t = this.computeWorld(aim.joints[aim.joints.length - 1], rots, center);
+        const axisAngle = this.r2d(Math.atan2(aim.axis[1], aim.axis[0]));
+        return Math.abs(this.normA(this.r2d(Math.atan2(targetY - t.y, targetX - t.x)) - (t.angle + axisAngle)));
+    }
+
+    // Lean options.joints (torso and waist by default) so the center of mass moves over the
+    // support span { minX, maxX } (see Balance). Each iteration takes a least-squares step
+    // from per-joint finite differences, at most maxStep degrees per joint, within limits.
+    solveBalance(currentRots, center, segments, span, options = {}) {
+        const joints = (options.joints ?? ['torso', 'waist']).filter(id => this.data.JOINT_DEFS[id]);
+        const iterations = options.iterations ?? 4;
+        const margin = options.margin ?? 2;   // px kept between the COM and the span edges
+        const maxStep = options.maxStep ?? 5;
+        if (!span || joints.length === 0) return currentRots;
+
+        const mid = (span.minX + span.maxX) / 2;
+        const lo = Math.min(span.minX + margin, mid), hi = Math.max(span.maxX - margin, mid);
+        const comX = r => Balance.centerOfMass(this.data, segments, r, center, this.stretch)?.x;
+
+        let rots = { ...currentRots };
+        for (let iter = 0; iter < iterations; iter++) {
+            const x = comX(rots);
+            if (x === undefined) break;
+            const error = this.clamp(x, lo, hi) - x;
+            if (Math.abs(error) < 0.01) break;
+
+            const gradients = joints.map(id => comX({ ...rots, [id]: (rots[id] || 0) + 1 }) - x);
+            const norm = gradients.reduce((sum, g) => sum + g * g, 0);
+            if (norm < 1e-9) break;
+
+            rots = { ...rots };
+            joints.forEach((id, i) => {
+                let rotation = (rots[id] || 0) + this.clamp(error * gradients[i] / norm, -maxStep, maxStep);
+                const lim = this.data.JOINT_LIMITS[id];
+                if (lim) rotation = this.clamp(rotation, lim.min, lim.max);
+                rots[id] = rotation;
+            });
+        }
+        return rots;
+    }
+
+    // PRIORITY_ORDER first, then any remaining chains by their `priority` field
+    getChainSolveOrder(chainIds) {
+        const order = this.data.PRIORITY_ORDER || [];
+        const rank = id => {
+            const idx = order.indexOf(id);
+            return idx === -1 ? order.length : idx;
+        };
+        return chainIds
+            .filter(id => this.data.IK_CHAINS[id])
+            .sort((a, b) => rank(a) - rank(b) ||
+                (this.data.IK_CHAINS[a].priority ?? Infinity) - (this.data.IK_CHAINS[b].priority ?? Infinity));
+    }
+
+    // Lower priority numbers win conflicts
+    getChainWeight(chainId) {
+        const priority = this.data.IK_CHAINS[chainId].priority || 1;
+        return 1 / priority;
+    }
+
+    // Parents above the chain's first joint, nearest first, up to but not including the root
+    // (the joint without a parent, whatever the rig calls it)
+    getChainAncestors(chainId) {
+        const ancestors = [];
+        let cur = this.data.JOINT_DEFS[this.data.IK_CHAINS[chainId].joints[0]]?.parent;
+        while (cur && this.data.JOINT_DEFS[cur]?.parent) {
+            ancestors.push(cur);
+            cur = this.data.JOINT_DEFS[cur]?.parent;
+        }
+        return ancestors;
+    }
+
+    // Ancestors of the solved chains that no solved chain owns, deepest first
+    getSharedAncestors(chainIds) {
+        const owned = new Set(chainIds.flatMap(id => this.data.IK_CHAINS[id].joints));
+        const depth = id => {
+            let d = 0;
+            for (let cur = this.data.JOINT_DEFS[id]?.parent; cur; cur = this.data.JOINT_DEFS[cur]?.parent) d++;
+            return d;
+        };
+        const ancestors = new Set();
+        chainIds.forEach(id => {
+            this.getChainAncestors(id).forEach(a => { if (!owned.has(a)) ancestors.add(a); });
+        });
+        return [...ancestors].sort((a, b) => depth(b) - depth(a));
+    }
+
+    computeResiduals(chainIds, targets, rots, center) {
+        const residuals = {};
+        chainIds.forEach(id => {
+            const eff = this.computeWorld(this.data.IK_CHAINS[id].effector, rots, center);
+            residuals[id] = Math.hypot(targets[id].x - eff.x, targets[id].y - eff.y);
+        });
+        return residuals;
+    }
+
+    // Translate the root toward the weighted mean miss of the unsatisfied chains (moving the
+    // root moves every effector by the same amount), e.g. lowering the hips until planted feet
+    // are reachable again. Stays within maxRootShift of `origin`.
+    shiftRoot(root, origin, chainIds, targets, residuals, rots, { tolerance, leanRate, maxRootShift }) {
+        let sumX = 0, sumY = 0, sumWeight = 0;
+        chainIds.forEach(chainId => {
+            if (residuals[chainId] <= tolerance) return;
+            const eff = this.computeWorld(this.data.IK_CHAINS[chainId].effector, rots, root);
+            const weight = this.getChainWeight(chainId);
+            sumX += (targets[chainId].x - eff.x) * weight;
+            sumY += (targets[chainId].y - eff.y) * weight;
+            sumWeight += weight;
+        });
+        if (sumWeight === 0) return root;
+
+        let dx = root[0] + (sumX / sumWeight) * leanRate - origin[0];
+        let dy = root[1] + (sumY / sumWeight) * leanRate - origin[1];
+        const dist = Math.hypot(dx, dy);
+        if (dist > maxRootShift) {
+            dx *= maxRootShift / dist;
+            dy *= maxRootShift / dist;
+        }
+        return [origin[0] + dx, origin[1] + dy];
+    }
+
+    // CCD-style step on each shared ancestor: rotate it toward the weighted average of
+    // the corrections its dependent chains want, bounded by maxLean from `baseRots`
+    leanAncestors(ancestors, chainIds, targets, rots, baseRots, center, { tolerance, leanRate, maxLean }) {
+        const result = { ...rots };
+        ancestors.forEach(ancestorId => {
+            const pivot = this.computeWorld(ancestorId, result, center);
+            let sumAngle = 0, sumWeight = 0;
+
+            chainIds.forEach(chainId => {
+                if (!this.getChainAncestors(chainId).includes(ancestorId)) return;
+                const eff = this.computeWorld(this.data.IK_CHAINS[chainId].effector, result, center);
+                const tgt = targets[chainId];
+                const toEff = Math.atan2(eff.y - pivot.y, eff.x - pivot.x);
+                const toTgt = Math.atan2(tgt.y - pivot.y, tgt.x - pivot.x);
+                if (Math.hypot(eff.x - pivot.x, eff.y - pivot.y) < 0.001) return;
+
+                const residual = Math.hypot(tgt.x - eff.x, tgt.y - eff.y);
+                const weight = this.getChainWeight(chainId) * (residual + tolerance);
+                sumAngle += this.normA(this.r2d(toTgt - toEff)) * weight;
+                sumWeight += weight;
+            });
+
+            if (sumWeight === 0) return;
+            const base = baseRots[ancestorId] || 0;
+            let rotation = (result[ancestorId] || 0) + (sumAngle / sumWeight) * leanRate;
+            rotation = this.clamp(rotation, base - maxLean, base + maxLean);
+            const lim = this.data.JOINT_LIMITS[ancestorId];
+            if (lim) rotation = this.clamp(rotation, lim.min, lim.max);
+            result[ancestorId] = rotation;
+        });
+        return result;
+    }
 }
 
 export { AdvancedIKSolver };
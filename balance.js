@@ -0,0 +1,112 @@
+// Center of Mass and Balance
+// Each joint's segment weighs the area of its shape as drawn by SkeletonRenderer.traceShape
+// (or its entry in the rig's optional MASSES table) and sits at the shape's centroid.
+// Support comes from planted joints: pins plus anything resting on the ground line.
+import { Kinematics } from './kinematics.js';
+
+class Balance {
+    // { jointId: { mass, x, y } }, x/y being the centroid in the joint's frame
+    static segmentMasses(data) {
+        const masses = data.MASSES || {};
+        const segments = {};
+        Object.keys(data.JOINT_DEFS).forEach(id => {
+            const shape = data.SHAPES[id];
+            const measured = shape ? Balance.shapeMass(shape) : null;
+            const mass = masses[id] ?? measured?.area ?? 0;
+            if (mass > 0) segments[id] = { mass, x: measured?.x ?? 0, y: measured?.y ?? 0 };
+        });
+        return segments;
+    }
+
+    // Area and centroid of a shape in its joint's frame: { area, x, y }, or null for `none`.
+    // Fixed outlines are pre-measured; the bezier outlines of parametric shapes have areas
+    // and moments linear in their radii.
+    static shapeMass(shape) {
+        switch (shape.type) {
+            case 'torso':
+                return { area: 4260.6, x: 0, y: 10.11 };
+            case 'customTorsoHead':
+                return { area: 1533.8, x: 0, y: -18.74 };
+            case 'waist':
+                return { area: 1256.6, x: 0, y: 0 };
+            case 'collar':
+                return { area: 1764.8, x: 0, y: 0 };
+            case 'neck':
+                return { area: 336, x: 0, y: -12 };
+            case 'arm': {
+                const { len, rPivot, rTip } = shape;
+                const area = len * (0.97 * rPivot + 0.525 * rTip);
+                const moment = len * len * (0.2904 * rPivot + 0.3097 * rTip);
+                return { area, x: (shape.dir || 1) * moment / area, y: 0 };
+            }
+            case 'hand': {
+                const area = 26.62 * shape.r + 10.89 * shape.rt;
+                const moment = 208.83 * shape.r + 158.15 * shape.rt;
+                return { area, x: (shape.dir || 1) * moment / area, y: 0 };
+            }
+            case 'leg': {
+                const { len, rTop, rBot } = shape;
+                const area = len * (rTop + 0.516 * rBot);
+                return { area, x: 0, y: len * len * (0.3047 * rTop + 0.3091 * rBot) / area };
+            }
+            case 'foot':
+                return { area: 1.2295 * shape.len * shape.r, x: 0, y: 0.356 * shape.len };
+            default:
+                return null;
+        }
+    }
+
+    // { x, y, mass } of the whole pose, or null when nothing has mass. Stretched chain
+    // bones carry their segment's centroid along with them.
+    static centerOfMass(data, segments, rotations, center, stretch = null) {
+        const pose = Kinematics.computePose(data, rotations, center, stretch);
+        let sumX = 0, sumY = 0, total = 0;
+        Object.entries(segments).forEach(([id, segment]) => {
+            const t = pose[id];
+            if (!t) return;
+            const k = Kinematics.boneScale(data, id, stretch);
+            const a = Kinematics.d2r(t.angle);
+            const c = Math.cos(a), s = Math.sin(a);
+            sumX += (t.x + (segment.x * c - segment.y * s) * k) * segment.mass;
+            sumY += (t.y + (segment.x * s + segment.y * c) * k) * segment.mass;
+            total += segment.mass;
+        });
+        return total > 0 ? { x: sumX / total, y: sumY / total, mass: total } : null;
+    }
+
+    // Points bearing weight, sorted by x: every pin ({ jointId: { x, y } }) plus any other
+    // joint within `tolerance` of the ground
+    static supportPoints(pose, pins = {}, groundY = null, tolerance = 1) {
+        const points = Object.entries(pins).map(([id, pin]) => ({ id, x: pin.x, y: pin.y }));
+        Object.entries(pose).forEach(([id, t]) => {
+            if (pins[id] || groundY === null || Math.abs(t.y - groundY) > tolerance) return;
+            points.push({ id, x: t.x, y: t.y });
+        });
+        return points.sort((a, b) => a.x - b.x);
+    }
+
+    // Horizontal extent { minX, maxX } of the support points, or null without support
+    static supportSpan(points) {
+        if (points.length === 0) return null;
+        return { minX: points[0].x, maxX: points[points.length - 1].x };
+    }
+
+    // Balance summary of a pose: { com, support, span, offset, balanced }. `offset` is how
+    // far (px) the center of mass sits outside the support span, signed toward the side it tips.
+    static evaluate(data, segments, rotations, center, options = {}) {
+        const { stretch = null, pins = {}, groundY = null, tolerance = 1 } = options;
+        const pose = Kinematics.computePose(data, rotations, center, stretch);
+        const com = Balance.centerOfMass(data, segments, rotations, center, stretch);
+        const support = Balance.supportPoints(pose, pins, groundY, tolerance);
+        const span = Balance.supportSpan(support);
+
+        let offset = 0;
+        if (com && span) {
+            if (com.x < span.minX) offset = com.x - span.minX;
+            else if (com.x > span.maxX) offset = com.x - span.maxX;
+        }
+        return { com, support, span, offset, balanced: !!(com && span) && offset === 0 };
+    }
+}
+
+export { Balance };
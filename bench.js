@@ -0,0 +1,41 @@
+// Solver benchmark CLI: node bench.js [output.json] [--frames N] [--seed S]
+// Prints a summary table and writes the full results as JSON (benchmark-results.json by default).
+import { readFileSync, writeFileSync } from 'node:fs';
+import { BITRUVIUS_DATA } from './skeleton-data.js';
+import { SolverBenchmark } from './benchmark.js';
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const i = args.indexOf(name);
+    if (i < 0) return undefined;
+    const value = Number(args.splice(i, 2)[1]);
+    if (!Number.isFinite(value)) throw new Error(`${name} expects a number`);
+    return value;
+};
+
+const frames = option('--frames');
+const seed = option('--seed');
+const output = args[0] || 'benchmark-results.json';
+
+const benchmark = new SolverBenchmark(BITRUVIUS_DATA, { frames, seed });
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+const results = {
+    version: pkg.version,
+    node: process.version,
+    createdAt: new Date().toISOString(),
+    ...benchmark.run()
+};
+
+console.table(Object.fromEntries(results.solvers.map(s => [s.name, {
+    'ms/solve': s.timeMs.mean,
+    'p95 ms': s.timeMs.p95,
+    'iterations': s.iterations.mean,
+    'error px': s.error.mean,
+    'max error': s.error.max,
+    'solved %': Math.round(s.error.solvedRatio * 100),
+    'violations': s.violations.total,
+    'max jump deg': s.discontinuityDeg.max
+}])));
+
+writeFileSync(output, JSON.stringify(results, null, 2) + '\n');
+console.log(`Wrote ${output}`);
@@ -0,0 +1,215 @@
+// Headless Solver Benchmark
+// Every solver follows the same seeded random walk of targets, one solve per frame, and is
+// scored on time per solve, iterations, end effector error, constraint violations and how
+// far the pose jumps between frames. Poses are applied directly (no FK smoothing), so the
+// numbers describe the solvers rather than the app's interpolation.
+import { Vector2, MathUtils } from './math.js';
+import { JointChain } from './joint.js';
+import { Kinematics } from './kinematics.js';
+import { AdvancedIKSolver } from './advanced-ik-solver.js';
+
+const BENCHMARK_FORMAT_VERSION = 1;
+
+// JointChain.solverType values. 'ccd' is left out until JointChain.solveCCD works from the
+// angles it sets: it only writes targetAngle, so every iteration reads stale world positions
+// and its numbers would describe that bug rather than the solver.
+const CHAIN_SOLVERS = ['fabrik', 'jacobian', 'dls', 'sdls', 'analytical'];
+
+// AdvancedIKSolver methods run on every IK_CHAINS limb
+const SKELETON_SOLVERS = {
+    fabrik: 'solveIK_Advanced',
+    analytical: 'solveTwoBone'
+};
+
+class SolverBenchmark {
+    constructor(bitruviusData, options = {}) {
+        this.data = bitruviusData;
+        this.seed = (options.seed ?? 1234) >>> 0;
+        this.frames = options.frames ?? 500;
+        this.stepSize = options.stepSize ?? 0.05;   // target travel per frame, fraction of reach
+        this.reachMargin = options.reachMargin ?? 1.15; // walk radius; > 1 includes unreachable targets
+        this.center = options.center ?? [400, 300];
+        this.tolerance = options.tolerance ?? 1;    // px; an error below this counts as solved
+        this.now = options.now ?? (() => performance.now());
+    }
+
+    // Results for every solver: { format, seed, frames, stepSize, reachMargin, tolerance, solvers: [...] }
+    run() {
+        const solvers = [
+            ...CHAIN_SOLVERS.map(type => this.runChain(type)),
+            ...Object.keys(SKELETON_SOLVERS).map(name => this.runSkeleton(name))
+        ];
+        return {
+            format: BENCHMARK_FORMAT_VERSION,
+            seed: this.seed,
+            frames: this.frames,
+            stepSize: this.stepSize,
+            reachMargin: this.reachMargin,
+            tolerance: this.tolerance,
+            solvers
+        };
+    }
+
+    // Demo JointChain solved with one solverType
+    runChain(solverType) {
+        const chain = new JointChain(new Vector2(...this.center));
+        chain.solverType = solverType;
+        chain.root.updateTransform();
+
+        const joints = chain.root.getAllJoints();
+        const endEffector = chain.root.getDeepestJoint();
+        const model = chain.getPathModel(endEffector);
+        const reach = model.lengths.reduce((sum, len) => sum + len, 0);
+        const targets = this.createTargetPath(model.base, reach, this.seed);
+
+        const samples = [];
+        let previous = joints.map(joint => joint.angle);
+        targets.forEach(target => {
+            chain.target = new Vector2(target.x, target.y);
+            const start = this.now();
+            const { iterations } = chain.updateIK();
+            const time = this.now() - start;
+
+            joints.forEach(joint => joint.angle = joint.targetAngle);
+            chain.root.updateTransform();
+
+            const pose = joints.map(joint => joint.angle);
+            samples.push({
+                time,
+                iterations,
+                error: Vector2.distance(endEffector.getEndEffectorPosition(), chain.target),
+                violations: joints.filter(joint => SolverBenchmark.violatesConstraints(joint)).length,
+                jump: SolverBenchmark.maxJump(previous, pose, a => MathUtils.radToDeg(MathUtils.normalizeAngle(a)))
+            });
+            previous = pose;
+        });
+
+        return { name: `chain.${solverType}`, ...this.summarize(samples) };
+    }
+
+    // Every IK_CHAINS limb of the skeleton solved with one AdvancedIKSolver method
+    runSkeleton(name) {
+        const method = SKELETON_SOLVERS[name];
+        const solver = new AdvancedIKSolver(this.data);
+        const limits = this.data.JOINT_LIMITS;
+        const samples = [];
+
+        Object.entries(this.data.IK_CHAINS).forEach(([chainId, chainDef], index) => {
+            let rotations = { ...this.data.initialRotations };
+            const jointIds = chainDef.joints;
+            const effectorId = chainDef.effector ?? jointIds[jointIds.length - 1];
+            const reach = jointIds.slice(1).reduce((sum, id) => {
+                const [px, py] = this.data.JOINT_DEFS[id].pivot;
+                return sum + Math.hypot(px, py);
+            }, 0);
+            const base = Kinematics.computeWorld(this.data, jointIds[0], rotations, this.center);
+            const targets = this.createTargetPath(base, reach, this.seed + index + 1);
+
+            targets.forEach(target => {
+                const start = this.now();
+                const next = solver[method](chainId, target.x, target.y, rotations, this.center);
+                const time = this.now() - start;
+
+                const tip = Kinematics.computeWorld(this.data, effectorId, next, this.center, solver.stretch);
+                const before = jointIds.map(id => rotations[id] || 0);
+                const after = jointIds.map(id => next[id] || 0);
+                samples.push({
+                    time,
+                    iterations: solver.lastDiagnostics?.iterations ?? 0,
+                    error: Math.hypot(tip.x - target.x, tip.y - target.y),
+                    violations: jointIds.filter((id, i) => limits[id] &&
+                        (after[i] < limits[id].min - 1e-6 || after[i] > limits[id].max + 1e-6)).length,
+                    jump: SolverBenchmark.maxJump(before, after, Kinematics.normA)
+                });
+                rotations = next;
+            });
+        });
+
+        return { name: `skeleton.${name}`, ...this.summarize(samples) };
+    }
+
+    // Seeded random walk of `frames` targets around `origin`, kept within reachMargin * reach
+    createTargetPath(origin, reach, seed) {
+        const random = SolverBenchmark.createRandom(seed);
+        const step = reach * this.stepSize;
+        const radius = reach * this.reachMargin;
+
+        let heading = random() * Math.PI * 2;
+        let x = origin.x + Math.cos(heading) * reach * 0.6;
+        let y = origin.y + Math.sin(heading) * reach * 0.6;
+        const targets = [];
+        for (let i = 0; i < this.frames; i++) {
+            heading += (random() - 0.5) * 1.2;
+            x += Math.cos(heading) * step;
+            y += Math.sin(heading) * step;
+
+            // Turn back toward the origin at the edge of the walk area
+            const dx = x - origin.x, dy = y - origin.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist > radius) {
+                x = origin.x + dx / dist * radius;
+                y = origin.y + dy / dist * radius;
+                heading = Math.atan2(-dy, -dx) + (random() - 0.5);
+            }
+            targets.push({ x, y });
+        }
+        return targets;
+    }
+
+    summarize(samples) {
+        const pick = key => samples.map(s => s[key]);
+        const errors = pick('error');
+        return {
+            solves: samples.length,
+            timeMs: SolverBenchmark.stats(pick('time')),
+            iterations: SolverBenchmark.stats(pick('iterations')),
+            error: {
+                ...SolverBenchmark.stats(errors),
+                solvedRatio: samples.length ? errors.filter(e => e < this.tolerance).length / samples.length : 0
+            },
+            violations: {
+                total: pick('violations').reduce((sum, v) => sum + v, 0),
+                frames: samples.filter(s => s.violations > 0).length
+            },
+            discontinuityDeg: SolverBenchmark.stats(pick('jump'))
+        };
+    }
+
+    static violatesConstraints(joint) {
+        const { enabled, minAngle, maxAngle } = joint.constraints;
+        if (!enabled) return false;
+        const angle = MathUtils.normalizeAngle(joint.angle);
+        return angle < minAngle - 1e-6 || angle > maxAngle + 1e-6;
+    }
+
+    // Largest per-joint change between two poses; `wrap` maps a difference to degrees
+    static maxJump(before, after, wrap) {
+        return before.reduce((max, angle, i) => Math.max(max, Math.abs(wrap(after[i] - angle))), 0);
+    }
+
+    // { mean, p95, max }, rounded for readable JSON
+    static stats(values) {
+        if (values.length === 0) return { mean: 0, p95: 0, max: 0 };
+        const sorted = [...values].sort((a, b) => a - b);
+        const round = v => Math.round(v * 10000) / 10000;
+        return {
+            mean: round(values.reduce((sum, v) => sum + v, 0) / values.length),
+            p95: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]),
+            max: round(sorted[sorted.length - 1])
+        };
+    }
+
+    // mulberry32, same generator as AdvancedIKSolver
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+export { SolverBenchmark, CHAIN_SOLVERS, SKELETON_SOLVERS, BENCHMARK_FORMAT_VERSION };
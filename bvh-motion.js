@@ -0,0 +1,312 @@
+// BVH Motion Capture Import and 2D Retargeting
+import { Timeline } from './timeline.js';
+
+// 3D -> canvas projections (BVH is y-up, the canvas is y-down)
+const BVH_PLANES = {
+    xy: p => [p[0], -p[1]], // front
+    zy: p => [p[2], -p[1]], // side
+    xz: p => [p[0], p[2]]   // top
+};
+
+// Rig joint -> candidate BVH joint names (Mixamo, CMU and Poser naming)
+const DEFAULT_BVH_MAPPING = {
+    waist: ['Hips', 'Pelvis', 'hip'],
+    torso: ['Spine1', 'Spine', 'Chest', 'chest', 'abdomen'],
+    neck: ['Neck', 'Neck1', 'neck'],
+    head: ['Head', 'head'],
+    nose: ['Head_End', 'HeadTop_End', 'head_End'],
+    l_collar: ['LeftShoulder', 'LeftCollar', 'lCollar'],
+    l_shoulder: ['LeftArm', 'LeftUpArm', 'lShldr'],
+    l_elbow: ['LeftForeArm', 'LeftLowArm', 'lForeArm'],
+    l_wrist: ['LeftHand', 'lHand'],
+    r_collar: ['RightShoulder', 'RightCollar', 'rCollar'],
+    r_shoulder: ['RightArm', 'RightUpArm', 'rShldr'],
+    r_elbow: ['RightForeArm', 'RightLowArm', 'rForeArm'],
+    r_wrist: ['RightHand', 'rHand'],
+    l_hip: ['LeftUpLeg', 'LeftHip', 'lThigh'],
+    l_knee: ['LeftLeg', 'LeftKnee', 'LeftLowLeg', 'lShin'],
+    l_ankle: ['LeftFoot', 'LeftAnkle', 'lFoot'],
+    l_toe: ['LeftToeBase', 'LeftToe', 'LeftFoot_End', 'lFoot_End'],
+    r_hip: ['RightUpLeg', 'RightHip', 'rThigh'],
+    r_knee: ['RightLeg', 'RightKnee', 'RightLowLeg', 'rShin'],
+    r_ankle: ['RightFoot', 'RightAnkle', 'rFoot'],
+    r_toe: ['RightToeBase', 'RightToe', 'RightFoot_End', 'rFoot_End']
+};
+
+class BVHMotion {
+    constructor() {
+        // { name, parent, offset: [x, y, z], channels: [...], channelIndex }
+        // End Sites are included as `${parent}_End` with no channels
+        this.joints = [];
+        this.frames = [];
+        this.frameTime = 1 / 30;
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    get duration() {
+        return Math.max(0, this.frames.length - 1) * this.frameTime;
+    }
+
+    get jointNames() {
+        return this.joints.map(j => j.name);
+    }
+
+    static parse(text) {
+        const tokens = text.split(/\s+/).filter(Boolean);
+        const motion = new BVHMotion();
+        let pos = 0;
+        let channelCount = 0;
+
+        const next = () => {
+            if (pos >= tokens.length) throw new Error('Unexpected end of BVH file');
+            return tokens[pos++];
+        };
+        const expect = (token) => {
+            const found = next();
+            if (found !== token) throw new Error(`Expected "${token}" but found "${found}"`);
+        };
+        const number = () => {
+            const value = parseFloat(next());
+            if (!Number.isFinite(value)) throw new Error(`Expected a number near token ${pos}`);
+            return value;
+        };
+
+        const parseJoint = (name, parent) => {
+            const joint = { name, parent, offset: [0, 0, 0], channels: [], channelIndex: channelCount };
+            motion.joints.push(joint);
+            expect('{');
+
+            for (;;) {
+                const token = next();
+                if (token === '}') break;
+                if (token === 'OFFSET') {
+                    joint.offset = [number(), number(), number()];
+                } else if (token === 'CHANNELS') {
+                    const n = number();
+                    for (let i = 0; i < n; i++) joint.channels.push(next());
+                    channelCount += n;
+                } else if (token === 'JOINT') {
+                    parseJoint(next(), name);
+                } else if (token === 'End') {
+                    expect('Site');
+                    expect('{');
+                    expect('OFFSET');
+                    const offset = [number(), number(), number()];
+                    expect('}');
+                    motion.joints.push({ name: `${name}_End`, parent: name, offset, channels: [], channelIndex: channelCount });
+                } else {
+                    throw new Error(`Unexpected token "${token}" in joint "${name}"`);
+                }
+            }
+        };
+
+        expect('HIERARCHY');
+        expect('ROOT');
+        parseJoint(next(), null);
+
+        expect('MOTION');
+        expect('Frames:');
+        const frameCount = number();
+        expect('Frame');
+        expect('Time:');
+        const frameTime = number();
+        if (frameTime <= 0) throw new Error('Frame Time must be positive');
+        motion.frameTime = frameTime;
+
+        for (let f = 0; f < frameCount; f++) {
+            const frame = new Float64Array(channelCount);
+            for (let c = 0; c < channelCount; c++) frame[c] = number();
+            motion.frames.push(frame);
+        }
+
+        if (motion.frames.length === 0) throw new Error('BVH file has no frames');
+        return motion;
+    }
+
+    // World position of every joint at a frame: { name: [x, y, z] }
+    getWorldPositions(frameIndex) {
+        const frame = this.frames[frameIndex];
+        const world = {};
+
+        this.joints.forEach(joint => {
+            let translation = [...joint.offset];
+            let rotation = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+            joint.channels.forEach((channel, i) => {
+                const value = frame[joint.channelIndex + i];
+                const axis = channel[0].toLowerCase();
+                if (channel.endsWith('position')) {
+                    translation['xyz'.indexOf(axis)] += value;
+                } else {
+                    rotation = BVHMotion.multiply(rotation, BVHMotion.axisRotation(axis, value));
+                }
+            });
+
+            const parent = joint.parent ? world[joint.parent] : null;
+            if (parent) {
+                const p = BVHMotion.transform(parent.rotation, translation);
+                world[joint.name] = {
+                    position: [parent.position[0] + p[0], parent.position[1] + p[1], parent.position[2] + p[2]],
+                    rotation: BVHMotion.multiply(parent.rotation, rotation)
+                };
+            } else {
+                world[joint.name] = { position: translation, rotation };
+            }
+        });
+
+        const positions = {};
+        Object.entries(world).forEach(([name, w]) => positions[name] = w.position);
+        return positions;
+    }
+
+    // Best guess at a rig joint -> BVH joint mapping; unmatched rig joints are left out
+    autoMap(jointDefs) {
+        const byName = {};
+        this.joints.forEach(j => byName[BVHMotion.normalizeName(j.name)] = j.name);
+
+        const mapping = {};
+        Object.keys(jointDefs).forEach(rigId => {
+            const candidates = [...(DEFAULT_BVH_MAPPING[rigId] || []), rigId];
+            const match = candidates.find(name => byName[BVHMotion.normalizeName(name)]);
+            if (match) mapping[rigId] = byName[BVHMotion.normalizeName(match)];
+        });
+        return mapping;
+    }
+
+    // Local rig rotations (degrees) for one frame. Each mapped joint is aimed along the
+    // projected BVH bone to its first mapped child; everything else keeps `baseRotations`.
+    retargetFrame(frameIndex, bitruviusData, mapping, options = {}) {
+        const { plane = 'xy', mirror = false, clampToLimits = true, baseRotations = {} } = options;
+        const project = BVH_PLANES[plane] || BVH_PLANES.xy;
+        const positions = this.getWorldPositions(frameIndex);
+        const projected = (name) => {
+            const p = positions[name];
+            if (!p) return null;
+            const [u, v] = project(p);
+            return [mirror ? -u : u, v];
+        };
+
+        const defs = bitruviusData.JOINT_DEFS;
+        const aimChildren = BVHMotion.getAimChildren(defs, mapping);
+        const rotations = { ...baseRotations };
+        const worldAngles = {};
+
+        bitruviusData.HIERARCHY.forEach(([id]) => {
+            const parentId = defs[id].parent;
+            if (!parentId) {
+                // The root keeps its base rotation; children are aimed relative to it
+                worldAngles[id] = (rotations[id] ?? 0) * Math.PI / 180;
+                return;
+            }
+            const parentAngle = worldAngles[parentId] ?? 0;
+            let local = rotations[id] ?? 0;
+
+            const childId = aimChildren[id];
+            const a = childId && projected(mapping[id]);
+            const b = childId && projected(mapping[childId]);
+            if (a && b && Math.hypot(b[0] - a[0], b[1] - a[1]) > 1e-6) {
+                const [px, py] = defs[childId].pivot;
+                const boneAngle = Math.atan2(b[1] - a[1], b[0] - a[0]) - Math.atan2(py, px);
+                local = BVHMotion.normA((boneAngle - parentAngle) * 180 / Math.PI);
+
+                const lim = bitruviusData.JOINT_LIMITS[id];
+                if (clampToLimits && lim) local = Math.max(lim.min, Math.min(lim.max, local));
+            }
+
+            rotations[id] = local;
+            worldAngles[id] = parentAngle + local * Math.PI / 180;
+        });
+
+        return rotations;
+    }
+
+    // Rotations resampled to `fps`: [{ time, rotations }]
+    resample(bitruviusData, mapping, options = {}) {
+        const fps = Math.max(1, options.fps || 30);
+        const cache = new Map();
+        const frameRotations = (index) => {
+            if (!cache.has(index)) cache.set(index, this.retargetFrame(index, bitruviusData, mapping, options));
+            return cache.get(index);
+        };
+
+        const duration = this.duration;
+        const times = [];
+        for (let k = 0; k / fps <= duration + 1e-9; k++) times.push(k / fps);
+        if (duration - times[times.length - 1] > 1e-6) times.push(duration);
+
+        return times.map(time => {
+            const f = time / this.frameTime;
+            const i0 = Math.min(Math.floor(f), this.frameCount - 1);
+            const i1 = Math.min(i0 + 1, this.frameCount - 1);
+            const t = f - i0;
+
+            const from = frameRotations(i0);
+            const to = frameRotations(i1);
+            const rotations = {};
+            Object.keys(from).forEach(id => {
+                rotations[id] = Timeline.lerpAngle(from[id], to[id] ?? from[id], t);
+            });
+            return { time, rotations };
+        });
+    }
+
+    // Load the resampled clip into a timeline as linear keyframes
+    toTimeline(timeline, bitruviusData, mapping, options = {}) {
+        const samples = this.resample(bitruviusData, mapping, options);
+        timeline.clear();
+        timeline.setDuration(Math.max(this.duration, 0.1));
+        samples.forEach(({ time, rotations }) => timeline.setKeyframe(time, rotations, {}, 'linear'));
+        return samples.length;
+    }
+
+    // Rig joint -> the mapped child whose bone direction it follows
+    static getAimChildren(jointDefs, mapping) {
+        const aim = {};
+        Object.entries(jointDefs).forEach(([id, def]) => {
+            const parentId = def.parent;
+            if (!parentId || aim[parentId] || !mapping[parentId] || !mapping[id]) return;
+            const [px, py] = def.pivot;
+            if (px !== 0 || py !== 0) aim[parentId] = id;
+        });
+        return aim;
+    }
+
+    // "mixamorig:LeftArm" and "leftarm" compare equal
+    static normalizeName(name) {
+        return name.replace(/^.*:/, '').toLowerCase();
+    }
+
+    static normA(a) { return ((a % 360) + 540) % 360 - 180; }
+
+    // Row-major 3x3 helpers
+    static axisRotation(axis, degrees) {
+        const r = degrees * Math.PI / 180;
+        const c = Math.cos(r), s = Math.sin(r);
+        if (axis === 'x') return [1, 0, 0, 0, c, -s, 0, s, c];
+        if (axis === 'y') return [c, 0, s, 0, 1, 0, -s, 0, c];
+        return [c, -s, 0, s, c, 0, 0, 0, 1];
+    }
+
+    static multiply(a, b) {
+        const out = new Array(9);
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+            }
+        }
+        return out;
+    }
+
+    static transform(m, v) {
+        return [
+            m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+            m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+            m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+        ];
+    }
+}
+
+export { BVHMotion, BVH_PLANES, DEFAULT_BVH_MAPPING };
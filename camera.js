@@ -0,0 +1,91 @@
+// 2D View Camera - shared by both renderers and input handlers
+// Screen space is canvas CSS pixels; world space is what the rigs are drawn in.
+// screen = world * zoom + pan
+import { Vector2, MathUtils } from './math.js';
+
+class Camera {
+    constructor() {
+        this.zoom = 1;
+        this.pan = new Vector2(0, 0);
+        this.minZoom = 0.1;
+        this.maxZoom = 5;
+    }
+
+    screenToWorld(screenPos) {
+        return new Vector2(
+            (screenPos.x - this.pan.x) / this.zoom,
+            (screenPos.y - this.pan.y) / this.zoom
+        );
+    }
+
+    worldToScreen(worldPos) {
+        return new Vector2(
+            worldPos.x * this.zoom + this.pan.x,
+            worldPos.y * this.zoom + this.pan.y
+        );
+    }
+
+    // Zoom by `factor`, keeping the world point under `screenPos` fixed
+    zoomAt(screenPos, factor) {
+        const anchor = this.screenToWorld(screenPos);
+        this.zoom = MathUtils.clamp(this.zoom * factor, this.minZoom, this.maxZoom);
+        this.pan = new Vector2(
+            screenPos.x - anchor.x * this.zoom,
+            screenPos.y - anchor.y * this.zoom
+        );
+    }
+
+    // Pan by a screen-space delta
+    panBy(dx, dy) {
+        this.pan = new Vector2(this.pan.x + dx, this.pan.y + dy);
+    }
+
+    // Fit world bounds { minX, minY, maxX, maxY } into a width x height viewport
+    frameBounds(bounds, width, height, padding = 40, minSize = 100) {
+        const cx = (bounds.minX + bounds.maxX) / 2;
+        const cy = (bounds.minY + bounds.maxY) / 2;
+        // A single joint still gets a sensible zoom
+        const w = Math.max(bounds.maxX - bounds.minX, minSize);
+        const h = Math.max(bounds.maxY - bounds.minY, minSize);
+
+        const fit = Math.min(
+            Math.max(width - padding * 2, 1) / w,
+            Math.max(height - padding * 2, 1) / h
+        );
+        this.zoom = MathUtils.clamp(fit, this.minZoom, this.maxZoom);
+        this.pan = new Vector2(width / 2 - cx * this.zoom, height / 2 - cy * this.zoom);
+    }
+
+    // World rectangle visible in a width x height viewport
+    getVisibleBounds(width, height) {
+        const topLeft = this.screenToWorld({ x: 0, y: 0 });
+        const bottomRight = this.screenToWorld({ x: width, y: height });
+        return { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y };
+    }
+
+    // Multiply the view transform onto the context's current transform
+    apply(ctx) {
+        ctx.translate(this.pan.x, this.pan.y);
+        ctx.scale(this.zoom, this.zoom);
+    }
+
+    reset() {
+        this.zoom = 1;
+        this.pan = new Vector2(0, 0);
+    }
+
+    // Bounds of a list of { x, y } points, or null when empty
+    static boundsOf(points) {
+        if (points.length === 0) return null;
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        points.forEach(p => {
+            bounds.minX = Math.min(bounds.minX, p.x);
+            bounds.minY = Math.min(bounds.minY, p.y);
+            bounds.maxX = Math.max(bounds.maxX, p.x);
+            bounds.maxY = Math.max(bounds.maxY, p.y);
+        });
+        return bounds;
+    }
+}
+
+export { Camera };
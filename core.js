@@ -0,0 +1,15 @@
+// Headless Core - DOM-free modules for Node scripts and the browser app
+export { Vector2, Matrix3, Quaternion, Vector3, MathUtils } from './math.js';
+export { Joint, JointChain } from './joint.js';
+export { BITRUVIUS_DATA } from './skeleton-data.js';
+export { Kinematics } from './kinematics.js';
+export { Balance } from './balance.js';
+export { PoseMirror, MIRROR_MODES } from './mirror.js';
+export { PoseLibrary, POSE_LIBRARY_VERSION } from './pose-library.js';
+export { IKFKBlend } from './ik-fk-blend.js';
+export { AdvancedIKSolver } from './advanced-ik-solver.js';
+export { Timeline, EASINGS } from './timeline.js';
+export { RigIO, RIG_FORMAT, RIG_FORMAT_VERSION, SHAPE_TYPES } from './rig-io.js';
+export { BVHMotion, BVH_PLANES, DEFAULT_BVH_MAPPING } from './bvh-motion.js';
+export { RuntimeExporter, SPINE_VERSION, DRAGONBONES_VERSION } from './runtime-export.js';
+export { SolverBenchmark, CHAIN_SOLVERS, SKELETON_SOLVERS, BENCHMARK_FORMAT_VERSION } from './benchmark.js';
@@ -0,0 +1,27 @@
+// Solver Debug Drawing
+// Colours and shapes shared by the debug overlays of both renderers: Renderer (the JointChain)
+// and SkeletonRenderer (the Bitruvius rig)
+const DEBUG_COLORS = {
+    pass: '#22d3ee',      // intermediate solver passes, converged labels
+    warning: '#f59e0b',   // joints resting on a limit, unconverged labels
+    residual: '#ef4444'   // effector -> target residual
+};
+
+class DebugDraw {
+    // Line from `from` to `to` with an arrowhead at `to`, at most `headSize` long
+    static arrow(ctx, from, to, color, headSize = 6, lineWidth = 1.5) {
+        const ang = Math.atan2(to.y - from.y, to.x - from.x);
+        const head = Math.min(headSize, Math.hypot(to.x - from.x, to.y - from.y) / 2);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.moveTo(to.x - head * Math.cos(ang - 0.4), to.y - head * Math.sin(ang - 0.4));
+        ctx.lineTo(to.x, to.y);
+        ctx.lineTo(to.x - head * Math.cos(ang + 0.4), to.y - head * Math.sin(ang + 0.4));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.stroke();
+    }
+}
+
+export { DebugDraw, DEBUG_COLORS };
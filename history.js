@@ -0,0 +1,121 @@
+// Undo/Redo Command History
+// Commands are snapshots of the edit state before and after a change, so any edit
+// (drags, sliders, add/remove) is undoable without per-operation inverse code.
+class CommandHistory {
+    constructor(capture, restore, options = {}) {
+        this.capture = capture;
+        this.restore = restore;
+        this.limit = options.limit ?? 100;
+        this.coalesceWindow = options.coalesceWindow ?? 500; // ms between merged edits
+
+        // { label, before, after, coalesceKey, time }; states are JSON strings
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Open edit started by begin(), e.g. a drag in progress
+        this.pending = null;
+        // Only the newest command may absorb follow-up edits
+        this.lastCommand = null;
+        this.isRestoring = false;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0 || this.pending !== null;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Start an edit; nested begins are folded into the outer one
+    begin(label, coalesceKey = null) {
+        if (this.pending || this.isRestoring) return;
+        this.pending = { label, before: JSON.stringify(this.capture()), coalesceKey };
+    }
+
+    // Finish the open edit; returns the recorded command, or null if nothing changed
+    commit() {
+        if (!this.pending) return null;
+        const { label, before, coalesceKey } = this.pending;
+        this.pending = null;
+        return this.push(label, before, JSON.stringify(this.capture()), coalesceKey);
+    }
+
+    cancel() {
+        this.pending = null;
+    }
+
+    // Run a one-shot edit as a single command. Edits sharing a coalesceKey within
+    // coalesceWindow (slider input, repeated nudges) merge into one step.
+    execute(label, fn, coalesceKey = null) {
+        if (this.pending || this.isRestoring) {
+            fn();
+            return;
+        }
+        this.begin(label, coalesceKey);
+        try {
+            fn();
+        } finally {
+            this.commit();
+        }
+    }
+
+    push(label, before, after, coalesceKey) {
+        if (before === after) return null;
+
+        const now = Date.now();
+        const last = this.lastCommand;
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.time < this.coalesceWindow) {
+            last.after = after;
+            last.time = now;
+            return last;
+        }
+
+        const command = { label, before, after, coalesceKey, time: now };
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this.lastCommand = command;
+        return command;
+    }
+
+    undo() {
+        this.commit();
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.apply(command.before);
+        this.redoStack.push(command);
+        this.lastCommand = null;
+        return command;
+    }
+
+    redo() {
+        this.commit();
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.apply(command.after);
+        this.undoStack.push(command);
+        this.lastCommand = null;
+        return command;
+    }
+
+    apply(state) {
+        this.isRestoring = true;
+        try {
+            this.restore(JSON.parse(state));
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.lastCommand = null;
+    }
+}
+
+export { CommandHistory };
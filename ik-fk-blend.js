@@ -0,0 +1,102 @@
+// IK/FK Switching
+// Every IK chain has an FK layer (the rotations it was posed with) and an IK layer (its latest
+// solve, held when it stops being solved). A per-chain blend weight mixes the two along the
+// shortest arc and moves toward its goal over `blendTime` seconds, so switching a chain
+// between FK and IK cross-fades instead of popping. While a chain's blend is 0 its FK layer
+// simply follows the pose.
+import { Timeline } from './timeline.js';
+
+class IKFKBlend {
+    constructor(bitruviusData, blendTime = 0) {
+        this.blendTime = blendTime;    // seconds for a full 0 -> 1 fade; 0 switches at once
+        this.setData(bitruviusData);
+    }
+
+    // Layers and weights belong to the rig's chains
+    setData(bitruviusData) {
+        this.data = bitruviusData;
+        this.weights = {};   // { chainId: IK weight at full IK }, default 1
+        this.blend = {};     // { chainId: current blend, 0 = FK, 1 = IK }
+        this.fk = {};        // { chainId: { jointId: degrees } }
+        this.ik = {};
+        this.fkStretch = {}; // { chainId: factor }
+        this.ikStretch = {};
+    }
+
+    getWeight(chainId) {
+        return this.weights[chainId] ?? 1;
+    }
+
+    setWeight(chainId, weight) {
+        this.weights[chainId] = Math.max(0, Math.min(1, weight));
+    }
+
+    // Move every blend toward its goal ({ chainId: goal }, missing chains go to 0)
+    step(goals, deltaTime) {
+        const rate = this.blendTime > 0 ? deltaTime / this.blendTime : Infinity;
+        Object.keys(this.data.IK_CHAINS).forEach(chainId => {
+            const current = this.blend[chainId] || 0;
+            const goal = goals[chainId] || 0;
+            const delta = Math.max(-rate, Math.min(rate, goal - current));
+            this.blend[chainId] = current + delta;
+        });
+    }
+
+    // Store the solved rotations and stretch of `chainIds` as their IK layer
+    recordIK(chainIds, rotations, stretch = {}) {
+        chainIds.forEach(chainId => {
+            const joints = this.data.IK_CHAINS[chainId]?.joints;
+            if (!joints) return;
+            this.ik[chainId] = IKFKBlend.pick(rotations, joints);
+            this.ikStretch[chainId] = stretch[chainId] ?? 1;
+        });
+    }
+
+    // Mix the layers into a pose: { rotations, stretch }. Chains at blend 0, chains without an
+    // IK layer and `skip` chains (e.g. pinned ones, which must hold exactly) pass through and
+    // refresh their FK layer instead.
+    apply(rotations, stretch = {}, skip = []) {
+        const result = { ...rotations };
+        const resultStretch = { ...stretch };
+
+        Object.entries(this.data.IK_CHAINS).forEach(([chainId, chainDef]) => {
+            const w = this.blend[chainId] || 0;
+            const ik = this.ik[chainId];
+            if (w <= 0 || !ik || skip.includes(chainId)) {
+                this.fk[chainId] = IKFKBlend.pick(result, chainDef.joints);
+                this.fkStretch[chainId] = resultStretch[chainId] ?? 1;
+                return;
+            }
+
+            const fk = this.fk[chainId] || ik;
+            chainDef.joints.forEach(id => {
+                const from = fk[id] ?? ik[id] ?? 0;
+                result[id] = Timeline.lerpAngle(from, ik[id] ?? from, w);
+            });
+            const fkStretch = this.fkStretch[chainId] ?? 1;
+            resultStretch[chainId] = fkStretch + ((this.ikStretch[chainId] ?? 1) - fkStretch) * w;
+        });
+
+        return { rotations: result, stretch: resultStretch };
+    }
+
+    // Match FK to IK: the chains' FK layers take the current (IK) pose and their blends drop
+    // to 0, so turning IK off keeps the limbs where they are
+    bake(chainIds, rotations, stretch = {}) {
+        chainIds.forEach(chainId => {
+            const joints = this.data.IK_CHAINS[chainId]?.joints;
+            if (!joints) return;
+            this.fk[chainId] = IKFKBlend.pick(rotations, joints);
+            this.fkStretch[chainId] = stretch[chainId] ?? 1;
+            this.blend[chainId] = 0;
+        });
+    }
+
+    static pick(rotations, jointIds) {
+        const picked = {};
+        jointIds.forEach(id => picked[id] = rotations[id] || 0);
+        return picked;
+    }
+}
+
+export { IKFKBlend };
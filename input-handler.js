@@ -1,9 +1,12 @@
 // Sophisticated Input Handling System
+import { Vector2 } from './math.js';
+
 class InputHandler {
-    constructor(canvas, jointChain, renderer) {
+    constructor(canvas, jointChain, renderer, history = null) {
         this.canvas = canvas;
         this.jointChain = jointChain;
         this.renderer = renderer;
+        this.history = history;
         
         // Mouse state
         this.mousePos = new Vector2(0, 0);
@@ -39,16 +42,23 @@ class InputHandler {
             meta: false
         };
         
-        // Camera state (for future pan/zoom)
-        this.camera = {
-            zoom: 1,
-            pan: new Vector2(0, 0)
-        };
+        // Camera shared with the renderers; pointer positions are converted to world space
+        this.camera = renderer.camera;
+        this.screenPos = new Vector2(0, 0);
+        this.isPanning = false;
+        this.pinch = null;
+        this.zoomStep = 1.1;
         
         this.setupEventListeners();
     }
 
     setupEventListeners() {
+        // Camera panning runs in the capture phase so it wins over every other canvas handler
+        this.canvas.addEventListener('mousedown', this.handlePanStart.bind(this), true);
+        this.canvas.addEventListener('mousemove', this.handlePanMove.bind(this), true);
+        this.canvas.addEventListener('mouseup', this.handlePanEnd.bind(this), true);
+        window.addEventListener('mouseup', this.handlePanEnd.bind(this));
+        
         // Mouse events
         this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
         this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
@@ -58,9 +68,9 @@ class InputHandler {
         this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
         
         // Touch events for mobile support
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
         
         // Keyboard events
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
@@ -126,11 +136,14 @@ class InputHandler {
     handleMouseUp(event) {
         const mousePos = this.getMousePosition(event);
         
-        // Check for click (no significant movement)
-        if (this.gestureStart && Vector2.distance(mousePos, this.gestureStart) < this.gestureThreshold) {
+        // Check for click (no significant movement, measured on screen)
+        if (this.gestureStart && Vector2.distance(mousePos, this.gestureStart) * this.camera.zoom < this.gestureThreshold) {
             this.handleClick(mousePos, event);
         }
         
+        // A whole drag is one undo step
+        this.history?.commit();
+        
         // Reset drag states
         this.isDragging = false;
         this.isRotating = false;
@@ -144,10 +157,37 @@ class InputHandler {
     handleWheel(event) {
         event.preventDefault();
         
-        const delta = event.deltaY > 0 ? 0.9 : 1.1;
-        this.camera.zoom = MathUtils.clamp(this.camera.zoom * delta, 0.1, 5);
+        // Zoom around the cursor
+        const factor = event.deltaY > 0 ? 1 / this.zoomStep : this.zoomStep;
+        this.camera.zoomAt(this.getScreenPosition(event), factor);
+    }
+
+    // Middle-drag, or left-drag while Space is held
+    handlePanStart(event) {
+        const spaceDrag = event.button === 0 && this.keysPressed.has('Space');
+        if (event.button !== 1 && !spaceDrag) return;
         
-        // Future: Implement zoom towards mouse position
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        this.isPanning = true;
+        this.screenPos = this.getScreenPosition(event);
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    handlePanMove(event) {
+        const screenPos = this.getScreenPosition(event);
+        if (this.isPanning) {
+            event.stopImmediatePropagation();
+            this.camera.panBy(screenPos.x - this.screenPos.x, screenPos.y - this.screenPos.y);
+        }
+        this.screenPos = screenPos;
+    }
+
+    handlePanEnd(event) {
+        if (!this.isPanning) return;
+        event.stopImmediatePropagation();
+        this.isPanning = false;
+        this.canvas.style.cursor = this.keysPressed.has('Space') ? 'grab' : 'crosshair';
     }
 
     handleDoubleClick(event) {
@@ -159,13 +199,15 @@ class InputHandler {
             this.toggleJointProperties(joint);
         } else {
             // Add new joint at click position
+            this.history?.begin('Add joint');
             const parentJoint = this.getClosestJoint(mousePos);
             const newJoint = this.jointChain.addJoint(parentJoint);
             
             // Position new joint towards click
             const parentPos = parentJoint.getWorldPosition();
             const direction = mousePos.subtract(parentPos).normalize();
-            newJoint.position = direction.multiply(parentJoint.length);
+            newJoint.position = direction.multiply(parentJoint.length).rotate(-parentJoint.getWorldAngle());
+            this.history?.commit();
         }
     }
 
@@ -197,7 +239,8 @@ class InputHandler {
                 preventDefault: () => {}
             });
         } else if (event.touches.length === 2) {
-            // Handle pinch zoom
+            // A second finger turns the gesture into a pinch; drop any drag the first one started
+            this.handleMouseUp({ preventDefault: () => {} });
             this.startPinchZoom(event.touches);
         }
     }
@@ -205,7 +248,7 @@ class InputHandler {
     handleTouchMove(event) {
         event.preventDefault();
         
-        if (event.touches.length === 1) {
+        if (event.touches.length === 1 && !this.pinch) {
             const touch = event.touches[0];
             
             // Simulate mouse move
@@ -223,6 +266,12 @@ class InputHandler {
     handleTouchEnd(event) {
         event.preventDefault();
         
+        if (this.pinch) {
+            // Stay in pinch mode until every finger is lifted
+            if (event.touches.length === 0) this.pinch = null;
+            return;
+        }
+        
         // Simulate mouse up
         this.handleMouseUp({
             preventDefault: () => {}
@@ -233,6 +282,12 @@ class InputHandler {
         this.keysPressed.add(event.code);
         this.updateModifiers(event);
         
+        // Space arms panning; keep it from scrolling the page or pressing a focused button
+        if (event.code === 'Space' && !event.target.matches?.('input, textarea, select')) {
+            event.preventDefault();
+            if (!this.isPanning) this.canvas.style.cursor = 'grab';
+        }
+        
         // Handle keyboard shortcuts
         this.handleKeyboardShortcuts(event);
     }
@@ -240,12 +295,17 @@ class InputHandler {
     handleKeyUp(event) {
         this.keysPressed.delete(event.code);
         this.updateModifiers(event);
+        
+        if (event.code === 'Space' && !this.isPanning) this.canvas.style.cursor = 'crosshair';
     }
 
     handleWindowBlur() {
         // Reset all input states when window loses focus
         this.keysPressed.clear();
+        this.isPanning = false;
+        this.pinch = null;
         this.modifiers = { shift: false, ctrl: false, alt: false, meta: false };
+        this.history?.commit();
         this.isDragging = false;
         this.isRotating = false;
     }
@@ -266,6 +326,7 @@ class InputHandler {
     }
 
     startJointDrag(joint) {
+        this.history?.begin('Drag joint');
         this.isDragging = true;
         this.draggedJoint = joint;
         
@@ -283,11 +344,13 @@ class InputHandler {
         
         if (this.interactionMode === 'translate') {
             // Translate joint
-            const worldPos = this.renderer.screenToWorld(mousePos);
+            const worldPos = mousePos.clone();
             
             if (this.draggedJoint.parent) {
                 const parentPos = this.draggedJoint.parent.getWorldPosition();
-                this.draggedJoint.position = worldPos.subtract(parentPos);
+                // Positions live in the parent's rotated frame
+                const parentAngle = this.draggedJoint.parent.getWorldAngle();
+                this.draggedJoint.position = worldPos.subtract(parentPos).rotate(-parentAngle);
             } else {
                 this.draggedJoint.position = worldPos;
             }
@@ -304,6 +367,7 @@ class InputHandler {
     }
 
     startRotation(rotationHandle) {
+        this.history?.begin('Rotate joint');
         this.isRotating = true;
         this.rotationHandle = rotationHandle;
         this.isDragging = true;
@@ -335,12 +399,13 @@ class InputHandler {
     }
 
     startIKTargetDrag(mousePos) {
+        this.history?.begin('Move IK target');
         this.isDragging = true;
         this.interactionMode = 'ik';
     }
 
     handleIKTargetDrag(mousePos) {
-        this.jointChain.target = this.renderer.screenToWorld(mousePos);
+        this.jointChain.target = mousePos.clone();
     }
 
     startSelectionDrag(mousePos) {
@@ -384,7 +449,13 @@ class InputHandler {
     }
 
     // Utility methods
+    // Pointer position in world space
     getMousePosition(event) {
+        return this.camera.screenToWorld(this.getScreenPosition(event));
+    }
+
+    // Pointer position in canvas CSS pixels
+    getScreenPosition(event) {
         const rect = this.canvas.getBoundingClientRect();
         return new Vector2(
             event.clientX - rect.left,
@@ -393,11 +464,7 @@ class InputHandler {
     }
 
     getTouchPosition(touch) {
-        const rect = this.canvas.getBoundingClientRect();
-        return new Vector2(
-            touch.clientX - rect.left,
-            touch.clientY - rect.top
-        );
+        return this.getScreenPosition(touch);
     }
 
     getRotationHandleAtPosition(mousePos) {
@@ -456,7 +523,9 @@ class InputHandler {
     }
 
     updateCursor(mousePos) {
-        if (this.getRotationHandleAtPosition(mousePos)) {
+        if (this.keysPressed.has('Space')) {
+            this.canvas.style.cursor = 'grab';
+        } else if (this.getRotationHandleAtPosition(mousePos)) {
             this.canvas.style.cursor = 'grab';
         } else if (this.hoveredJoint) {
             this.canvas.style.cursor = 'pointer';
@@ -540,6 +609,17 @@ class InputHandler {
 
     // Keyboard shortcuts
     handleKeyboardShortcuts(event) {
+        // Keys typed into a form field (pose names, numeric inputs) aren't shortcuts
+        if (event.target.matches?.('input, textarea, select')) return;
+        
+        // Undo / redo (Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y)
+        if (this.history && this.modifiers.ctrl && (event.code === 'KeyZ' || event.code === 'KeyY')) {
+            event.preventDefault();
+            if (event.code === 'KeyY' || this.modifiers.shift) this.history.redo();
+            else this.history.undo();
+            return;
+        }
+        
         // Delete selected joints
         if (event.code === 'Delete' || event.code === 'Backspace') {
             this.deleteSelectedJoints();
@@ -577,17 +657,18 @@ class InputHandler {
     }
 
     deleteSelectedJoints() {
+        this.history?.begin('Delete joints');
         const joints = this.jointChain.root.getAllJoints();
         joints.forEach(joint => {
             if (joint.selected && joint !== this.jointChain.root) {
                 this.jointChain.removeJoint(joint);
             }
         });
+        this.history?.commit();
     }
 
     resetView() {
-        this.camera.zoom = 1;
-        this.camera.pan = new Vector2(0, 0);
+        this.camera.reset();
     }
 
     selectAll() {
@@ -611,12 +692,33 @@ class InputHandler {
         console.log('Toggle properties for:', joint.name);
     }
 
-    // Pinch zoom for mobile
+    // Pinch zoom for mobile: finger spread zooms, the midpoint pans
     startPinchZoom(touches) {
-        // Future: Implement pinch zoom
+        this.pinch = this.getPinchState(touches);
     }
 
     updatePinchZoom(touches) {
-        // Future: Implement pinch zoom
+        if (!this.pinch) {
+            this.startPinchZoom(touches);
+            return;
+        }
+        
+        const current = this.getPinchState(touches);
+        if (this.pinch.distance > 0) {
+            this.camera.zoomAt(current.center, current.distance / this.pinch.distance);
+        }
+        this.camera.panBy(current.center.x - this.pinch.center.x, current.center.y - this.pinch.center.y);
+        this.pinch = current;
+    }
+
+    getPinchState(touches) {
+        const a = this.getTouchPosition(touches[0]);
+        const b = this.getTouchPosition(touches[1]);
+        return {
+            center: a.add(b).multiply(0.5),
+            distance: Vector2.distance(a, b)
+        };
     }
 }
+
+export { InputHandler };
@@ -1,4 +1,6 @@
 // Advanced Joint System with FK/IK Support
+import { Vector2, Matrix3, MathUtils } from './math.js';
+
 class Joint {
     constructor(position, length = 50, name = null) {
         this.id = Joint.generateId();
@@ -34,7 +36,7 @@ class Joint {
             minAngle: -Math.PI * 0.75,
             maxAngle: Math.PI * 0.75,
             preferredAngle: 0,
-            constraintStrength: 1.0
+            constraintStrength: 0.5     // share of the overshoot 'soft' mode pulls back
         };
         
         // Transform
@@ -132,7 +134,7 @@ class Joint {
         }
     }
 
-    updateFK(deltaTime) {
+    updateFK(deltaTime, constraintMode = 'hard') {
         if (!this.fkEnabled) return;
 
         // Apply animation
@@ -140,35 +142,53 @@ class Joint {
             this.updateAnimation(deltaTime);
         }
 
-        // Smooth angle interpolation
-        if (Math.abs(this.angle - this.targetAngle) > 0.001) {
-            this.angle = MathUtils.lerp(
-                this.angle,
-                this.targetAngle,
-                this.rotationSpeed
-            );
-        }
-
-        // Apply angle wrapping for 360+ degree rotation
-        if (this.angleWrapping) {
-            this.angle = MathUtils.wrapAngle(this.angle);
+        if (this.constraints.enabled) {
+            // Limits are relative to the parent in [-PI, PI]; interpolating inside that
+            // range never crosses the seam, which lies outside the limits
+            const from = MathUtils.normalizeAngle(this.angle);
+            const delta = MathUtils.normalizeAngle(this.targetAngle) - from;
+            this.angle = Math.abs(delta) > 0.001 ? from + delta * this.rotationSpeed : from;
+            this.angle = this.constrainAngle(this.angle, constraintMode);
         } else {
-            this.angle = MathUtils.normalizeAngle(this.angle);
-        }
+            // Smooth angle interpolation along the shortest arc
+            const delta = MathUtils.angleDifference(this.angle, this.targetAngle);
+            if (Math.abs(delta) > 0.001) {
+                this.angle += delta * this.rotationSpeed;
+            }
 
-        // Apply constraints
-        if (this.constraints.enabled) {
-            this.angle = MathUtils.clamp(
-                this.angle,
-                this.constraints.minAngle,
-                this.constraints.maxAngle
-            );
+            // Apply angle wrapping for 360+ degree rotation
+            if (this.angleWrapping) {
+                this.angle = MathUtils.wrapAngle(this.angle);
+            } else {
+                this.angle = MathUtils.normalizeAngle(this.angle);
+            }
         }
 
         // Update transform
         this.updateTransform();
     }
 
+    // Limit a local angle (relative to the parent). 'hard' clamps to [minAngle, maxAngle];
+    // 'soft' pulls the overshoot back by constraintStrength (1 behaves like 'hard').
+    constrainAngle(angle, mode = 'hard') {
+        if (!this.constraints.enabled) return angle;
+
+        const { minAngle, maxAngle, constraintStrength } = this.constraints;
+        const local = MathUtils.normalizeAngle(angle);
+        const clamped = MathUtils.clamp(local, minAngle, maxAngle);
+        if (mode === 'soft') {
+            return local + (clamped - local) * MathUtils.clamp(constraintStrength, 0, 1);
+        }
+        return clamped;
+    }
+
+    // Whether `angle` sits on (or, in soft mode, past) one of the constraint bounds
+    isAtLimit(angle = this.angle) {
+        if (!this.constraints.enabled) return false;
+        const local = MathUtils.normalizeAngle(angle);
+        return local <= this.constraints.minAngle + 1e-3 || local >= this.constraints.maxAngle - 1e-3;
+    }
+
     updateAnimation(deltaTime) {
         if (this.animation.oscillation.enabled) {
             const osc = this.animation.oscillation;
@@ -188,9 +208,9 @@ class Joint {
         this.localTransform = Matrix3.rotation(this.angle)
             .multiply(Matrix3.translation(this.position.x, this.position.y));
 
-        // Update world transform
+        // Update world transform (row vectors: local first, then the parent's)
         if (this.parent) {
-            this.worldTransform = this.parent.worldTransform.multiply(this.localTransform);
+            this.worldTransform = this.localTransform.multiply(this.parent.worldTransform);
         } else {
             this.worldTransform = this.localTransform;
         }
@@ -255,16 +275,18 @@ class Joint {
         return count;
     }
 
+    // Joint furthest below this one (the first found on ties)
     getDeepestJoint() {
-        if (this.children.length === 0) return this;
-        
         let deepest = this;
-        this.children.forEach(child => {
-            const childDeepest = child.getDeepestJoint();
-            if (childDeepest.getChainDepth() > deepest.getChainDepth()) {
-                deepest = childDeepest;
+        let deepestLevel = 0;
+        const visit = (joint, level) => {
+            if (level > deepestLevel) {
+                deepest = joint;
+                deepestLevel = level;
             }
-        });
+            joint.children.forEach(child => visit(child, level + 1));
+        };
+        visit(this, 0);
         return deepest;
     }
 
@@ -349,14 +371,29 @@ class Joint {
             length: this.length,
             angle: this.angle,
             targetAngle: this.targetAngle,
+            fkAngle: this.fkAngle,
             fkEnabled: this.fkEnabled,
+            minAngle: this.minAngle,
+            maxAngle: this.maxAngle,
+            angleWrapping: this.angleWrapping,
+            rotationSpeed: this.rotationSpeed,
             ikEnabled: this.ikEnabled,
-            constraints: this.constraints,
+            ikWeight: this.ikWeight,
+            stiffness: this.stiffness,
+            damping: this.damping,
+            radius: this.radius,
+            constraints: { ...this.constraints },
             color: this.color,
-            animation: this.animation
+            animation: {
+                enabled: this.animation.enabled,
+                oscillation: { ...this.animation.oscillation },
+                rotation: { ...this.animation.rotation }
+            },
+            children: this.children.map(child => child.serialize())
         };
     }
 
+    // Rebuilds the joint and its whole subtree; fields missing from older data keep defaults
     static deserialize(data) {
         const joint = new Joint(
             new Vector2(data.position.x, data.position.y),
@@ -364,14 +401,36 @@ class Joint {
             data.name
         );
         
-        joint.id = data.id;
-        joint.angle = data.angle;
-        joint.targetAngle = data.targetAngle;
-        joint.fkEnabled = data.fkEnabled;
-        joint.ikEnabled = data.ikEnabled;
-        joint.constraints = data.constraints;
-        joint.color = data.color;
-        joint.animation = data.animation;
+        joint.id = data.id ?? joint.id;
+        joint.angle = data.angle ?? joint.angle;
+        joint.targetAngle = data.targetAngle ?? joint.angle;
+        joint.fkAngle = data.fkAngle ?? joint.fkAngle;
+        joint.fkEnabled = data.fkEnabled ?? joint.fkEnabled;
+        joint.minAngle = data.minAngle ?? joint.minAngle;
+        joint.maxAngle = data.maxAngle ?? joint.maxAngle;
+        joint.angleWrapping = data.angleWrapping ?? joint.angleWrapping;
+        joint.rotationSpeed = data.rotationSpeed ?? joint.rotationSpeed;
+        joint.ikEnabled = data.ikEnabled ?? joint.ikEnabled;
+        joint.ikWeight = data.ikWeight ?? joint.ikWeight;
+        joint.stiffness = data.stiffness ?? joint.stiffness;
+        joint.damping = data.damping ?? joint.damping;
+        joint.radius = data.radius ?? joint.radius;
+        joint.color = data.color ?? joint.color;
+        
+        if (data.constraints) {
+            joint.constraints = { ...joint.constraints, ...data.constraints };
+        }
+        if (data.animation) {
+            joint.animation = {
+                enabled: data.animation.enabled ?? false,
+                oscillation: { ...joint.animation.oscillation, ...data.animation.oscillation },
+                rotation: { ...joint.animation.rotation, ...data.animation.rotation }
+            };
+        }
+        
+        (data.children || []).forEach(childData => {
+            joint.addChild(Joint.deserialize(childData));
+        });
         
         return joint;
     }
@@ -384,9 +443,19 @@ class JointChain {
         this.ikEnabled = true;
         this.ikStrength = 1.0;
         this.solverType = 'ccd';
+        this.constraintMode = 'hard'; // 'hard' or 'soft', see Joint.constrainAngle
         this.iterations = 10;
         this.threshold = 0.1;
         
+        // Damped least squares tuning, as fractions of the chain's reach
+        this.dampingFactor = 0.1;
+        this.singularityThreshold = 0.1;
+        
+        // Record of the latest solve (see createDiagnostics); debug also keeps the
+        // intermediate point sets for the overlay
+        this.debug = false;
+        this.lastDiagnostics = null;
+        
         this.initializeDefaultChain();
     }
 
@@ -418,7 +487,7 @@ class JointChain {
     update(deltaTime) {
         // Update FK for all joints
         const allJoints = this.root.getAllJoints();
-        allJoints.forEach(joint => joint.updateFK(deltaTime));
+        allJoints.forEach(joint => joint.updateFK(deltaTime, this.constraintMode));
         
         // Update IK if enabled
         if (this.ikEnabled && this.target) {
@@ -426,30 +495,66 @@ class JointChain {
         }
     }
 
+    // Runs the selected solver and returns its diagnostics record, also kept in lastDiagnostics
     updateIK() {
         const endEffector = this.root.getDeepestJoint();
-        if (!endEffector) return;
+        if (!endEffector) return null;
 
+        let diagnostics = null;
         switch (this.solverType) {
             case 'ccd':
-                this.solveCCD(endEffector);
+                diagnostics = this.solveCCD(endEffector);
                 break;
             case 'fabrik':
-                this.solveFABRIK(endEffector);
+                diagnostics = this.solveFABRIK(endEffector);
                 break;
             case 'jacobian':
-                this.solveJacobian(endEffector);
+                diagnostics = this.solveJacobian(endEffector);
+                break;
+            case 'dls':
+                diagnostics = this.solveDLS(endEffector);
+                break;
+            case 'sdls':
+                diagnostics = this.solveSDLS(endEffector);
                 break;
             case 'analytical':
-                this.solveAnalytical(endEffector);
+                diagnostics = this.solveAnalytical(endEffector);
                 break;
         }
+        this.lastDiagnostics = diagnostics;
+        return diagnostics;
+    }
+
+    // Diagnostics record for a solve: { solver, iterations, converged, residual (px from the
+    // tip on screen, i.e. the applied angles, to the target), requestedResidual (the same for
+    // the target angles the solve set, which FK eases toward), limitedJoints (names of joints
+    // the solve left on a constraint bound), softReach, stretched, passes (intermediate point sets) }
+    createDiagnostics(endEffector, solver, iterations, fields = {}) {
+        const model = this.getPathModel(endEffector);
+        const locals = model.joints.map(joint => MathUtils.normalizeAngle(joint.targetAngle));
+        const requested = this.getPathPoints(model, locals)[locals.length];
+        const requestedResidual = Vector2.distance(requested, this.target);
+        
+        return {
+            solver,
+            iterations,
+            converged: requestedResidual < this.threshold,
+            residual: Vector2.distance(endEffector.getEndEffectorPosition(), this.target),
+            requestedResidual,
+            limitedJoints: model.joints.filter((joint, i) => joint.isAtLimit(locals[i])).map(joint => joint.name),
+            softReach: false,
+            stretched: false,
+            passes: [],
+            ...fields
+        };
     }
 
     solveCCD(endEffector) {
         const joints = this.getAllJointsInOrder();
         
+        let iterations = 0;
         for (let iter = 0; iter < this.iterations; iter++) {
+            iterations++;
             for (let i = joints.length - 1; i >= 0; i--) {
                 const joint = joints[i];
                 if (!joint.ikEnabled) continue;
@@ -472,112 +577,339 @@ class JointChain {
                 break;
             }
         }
+        return this.createDiagnostics(endEffector, 'ccd', iterations);
     }
 
+    // FABRIK over the root -> end effector path. The backward pass turns each bone back into
+    // a local angle and limits it before placing the next joint, so constraints shape the
+    // solve instead of being clamped away afterwards.
     solveFABRIK(endEffector) {
-        const joints = this.getAllJointsInOrder();
-        const positions = joints.map(j => j.getWorldPosition());
-        const lengths = joints.map(j => j.length);
+        const model = this.getPathModel(endEffector);
+        const { joints, lengths, offsets, base, baseAngle } = model;
+        const n = joints.length;
         
-        // Forward reaching
-        positions[positions.length - 1] = this.target.clone();
+        const locals = this.seedPreferredAngles(model);
+        let points = this.getPathPoints(model, locals);
+        const passes = [];
         
-        for (let i = positions.length - 2; i >= 0; i--) {
-            const direction = positions[i].subtract(positions[i + 1]).normalize();
-            positions[i] = positions[i + 1].add(direction.multiply(lengths[i]));
+        let iterations = 0;
+        for (let iter = 0; iter < this.iterations; iter++) {
+            if (Vector2.distance(points[n], this.target) < this.threshold) break;
+            iterations++;
+            
+            // Forward reaching: tip to base. Each bone is kept within the limits of the joint
+            // at its far end, measured against the bone already placed beyond it.
+            const reach = points.map(p => p.clone());
+            reach[n] = this.target.clone();
+            let nextBone = null;
+            for (let i = n - 1; i >= 0; i--) {
+                const toNext = reach[i + 1].subtract(reach[i]);
+                let bone = toNext.magnitude() > 0.001 ? toNext.angle() : (nextBone ?? 0);
+                if (nextBone !== null) {
+                    const local = (nextBone - offsets[i + 1]) - (bone - offsets[i]);
+                    const limited = joints[i + 1].constrainAngle(local, this.constraintMode);
+                    bone += local - limited;
+                }
+                reach[i] = reach[i + 1].subtract(new Vector2(Math.cos(bone), Math.sin(bone)).multiply(lengths[i]));
+                nextBone = bone;
+            }
+            
+            // Backward reaching: base to tip, limiting each joint relative to its parent
+            reach[0] = base;
+            let world = baseAngle;
+            for (let i = 0; i < n; i++) {
+                const joint = joints[i];
+                const toNext = reach[i + 1].subtract(reach[i]);
+                if (joint.ikEnabled && toNext.magnitude() > 0.001) {
+                    locals[i] = MathUtils.normalizeAngle(toNext.angle() - offsets[i] - world);
+                }
+                locals[i] = joint.constrainAngle(locals[i], this.constraintMode);
+                world += locals[i];
+                reach[i + 1] = reach[i].add(new Vector2(Math.cos(world + offsets[i]), Math.sin(world + offsets[i])).multiply(lengths[i]));
+            }
+            points = reach;
+            if (this.debug) passes.push(points.map(p => p.clone()));
         }
         
-        // Backward reaching
-        positions[0] = this.root.getWorldPosition();
-        
-        for (let i = 1; i < positions.length; i++) {
-            const direction = positions[i].subtract(positions[i - 1]).normalize();
-            positions[i] = positions[i - 1].add(direction.multiply(lengths[i - 1]));
+        joints.forEach((joint, i) => joint.setAngle(locals[i]));
+        return this.createDiagnostics(endEffector, 'fabrik', iterations, { passes });
+    }
+
+    // Joints from the root down to `joint`
+    getJointPath(joint) {
+        const path = [];
+        for (let current = joint; current; current = current.parent) {
+            path.unshift(current);
         }
+        return path;
+    }
+
+    // Geometry of the root -> end effector path for solvers that pose it without touching
+    // the joints: bone i runs from joint i to the next joint (or the end effector tip), and
+    // offsets[i] is its direction in joint i's own frame
+    getPathModel(endEffector) {
+        const joints = this.getJointPath(endEffector);
+        const lengths = [];
+        const offsets = [];
+        joints.forEach((joint, i) => {
+            const next = i < joints.length - 1 ? joints[i + 1].position : new Vector2(joint.length, 0);
+            lengths.push(next.magnitude());
+            offsets.push(Math.atan2(next.y, next.x));
+        });
         
-        // Update joint angles
-        for (let i = 0; i < joints.length; i++) {
-            if (i > 0) {
-                const toCurrent = positions[i].subtract(positions[i - 1]);
-                const toPrevious = positions[i - 1].subtract(i > 1 ? positions[i - 2] : positions[i - 1]);
-                const angle = toCurrent.angle() - toPrevious.angle();
-                joints[i].setAngle(angle);
-            }
-        }
+        return {
+            joints,
+            lengths,
+            offsets,
+            base: joints[0].getWorldPosition(),
+            baseAngle: joints[0].parent ? joints[0].parent.getWorldAngle() : 0,
+            locals: joints.map(joint => MathUtils.normalizeAngle(joint.angle))
+        };
+    }
+
+    // Starting angles for a solve. A straight chain cannot choose a bend side (and is
+    // singular for the Jacobian solvers), so it starts from the preferred angles instead.
+    seedPreferredAngles(model) {
+        const straight = model.locals.every((angle, i) => i === 0 || Math.abs(angle) < 0.001);
+        if (!straight) return [...model.locals];
+        return model.locals.map((angle, i) => {
+            const c = model.joints[i].constraints;
+            return i > 0 && c.enabled ? c.preferredAngle : angle;
+        });
     }
 
+    // Joint origins plus the end effector tip for the given local angles
+    getPathPoints(model, locals) {
+        const points = [model.base];
+        let world = model.baseAngle;
+        locals.forEach((local, i) => {
+            world += local;
+            const direction = world + model.offsets[i];
+            points.push(points[i].add(new Vector2(Math.cos(direction), Math.sin(direction)).multiply(model.lengths[i])));
+        });
+        return points;
+    }
+
+    // Jacobian transpose with the step length that minimizes the linearized error
+    // (alpha = <e, J W J^T e> / |J W J^T e|^2)
     solveJacobian(endEffector) {
-        // Simplified Jacobian transpose method
-        const joints = this.getAllJointsInOrder();
-        const epsilon = 0.01;
-        
-        for (let iter = 0; iter < this.iterations; iter++) {
-            const currentEnd = endEffector.getEndEffectorPosition();
-            const error = this.target.subtract(currentEnd);
+        return this.solveJacobianFamily(endEffector, 'jacobian', (model, jacobian, weights, error) => {
+            const { a, b, c } = this.weightedGram(jacobian, weights);
+            const moved = new Vector2(a * error.x + b * error.y, b * error.x + c * error.y);
+            const movedSq = moved.dot(moved);
+            if (movedSq < 1e-12) return null;
+            const alpha = error.dot(moved) / movedSq;
             
-            if (error.magnitude() < this.threshold) break;
+            return jacobian.map((column, i) => alpha * weights[i] * column.dot(error));
+        });
+    }
+
+    // Damped least squares: dTheta = W J^T (J W J^T + lambda^2 I)^-1 e. Damping only switches
+    // on near a singular pose (smallest singular value below singularityThreshold * reach),
+    // so reachable targets converge like the pseudo-inverse without blowing up when straight.
+    solveDLS(endEffector) {
+        return this.solveJacobianFamily(endEffector, 'dls', (model, jacobian, weights, error) => {
+            const reach = model.lengths.reduce((sum, len) => sum + len, 0);
+            const { a, b, c } = this.weightedGram(jacobian, weights);
+            const { values } = this.symmetricEigen2(a, b, c);
+            
+            const sigmaMin = Math.sqrt(Math.max(values[1], 0));
+            const epsilon = this.singularityThreshold * reach;
+            const lambdaMax = this.dampingFactor * reach;
+            const lambda2 = sigmaMin < epsilon ? (1 - (sigmaMin / epsilon) ** 2) * lambdaMax * lambdaMax : 0;
+            
+            // (A + lambda^2 I) x = e
+            const m00 = a + lambda2 + 1e-9, m11 = c + lambda2 + 1e-9;
+            const det = m00 * m11 - b * b;
+            if (Math.abs(det) < 1e-12) return null;
+            const x = (m11 * error.x - b * error.y) / det;
+            const y = (m00 * error.y - b * error.x) / det;
+            
+            return jacobian.map((column, i) => weights[i] * (column.x * x + column.y * y));
+        });
+    }
+
+    // Selectively damped least squares (Buss & Kim): each singular direction's step is
+    // clamped by how far it swings the joints compared with how far it moves the tip,
+    // which tames the directions that explode near singularities without a global lambda.
+    solveSDLS(endEffector) {
+        const maxStep = Math.PI / 4;
+        
+        return this.solveJacobianFamily(endEffector, 'sdls', (model, jacobian, weights, error) => {
+            // Weighted Jacobian J W^1/2; its SVD comes from the 2x2 Gram matrix
+            const roots = weights.map(w => Math.sqrt(w));
+            const scaled = jacobian.map((column, i) => column.multiply(roots[i]));
+            const { a, b, c } = this.weightedGram(scaled, scaled.map(() => 1));
+            const { values, vectors } = this.symmetricEigen2(a, b, c);
+            const columnNorms = scaled.map(column => column.magnitude());
+            const step = scaled.map(() => 0);
             
-            joints.forEach((joint, index) => {
-                if (!joint.ikEnabled) return;
+            values.forEach((value, k) => {
+                const sigma = Math.sqrt(Math.max(value, 0));
+                if (sigma < 1e-6) return;
                 
-                // Numerical Jacobian
-                const originalAngle = joint.angle;
-                joint.angle += epsilon;
-                joint.updateTransform();
-                const perturbedEnd = endEffector.getEndEffectorPosition();
-                const deltaEnd = perturbedEnd.subtract(currentEnd);
+                const u = vectors[k];
+                const v = scaled.map(column => (column.x * u.x + column.y * u.y) / sigma);
+                const alpha = u.x * error.x + u.y * error.y;
                 
-                joint.angle = originalAngle;
+                // N = |u| = 1 for a single end effector; M = joint swing per unit of tip motion
+                const M = v.reduce((sum, vj, j) => sum + Math.abs(vj) * columnNorms[j], 0) / sigma;
+                const gamma = Math.min(1, 1 / Math.max(M, 1e-9)) * maxStep;
                 
-                // Jacobian transpose update
-                const alpha = 0.1;
-                const gradient = deltaEnd.multiply(error.dot(deltaEnd) / (epsilon * epsilon));
-                joint.rotate(gradient.magnitude() * alpha * Math.sign(error.cross(deltaEnd)));
+                const phi = v.map(vj => alpha * vj / sigma);
+                const largest = Math.max(...phi.map(Math.abs));
+                const scale = largest > gamma ? gamma / largest : 1;
+                phi.forEach((p, j) => step[j] += p * scale);
+            });
+            
+            const largest = Math.max(...step.map(Math.abs));
+            const scale = largest > maxStep ? maxStep / largest : 1;
+            return step.map((s, i) => s * scale * roots[i]);
+        });
+    }
+
+    // Shared loop for the Jacobian solvers: `computeStep(model, jacobian, weights, error)`
+    // returns per-joint angle changes. Weights are ikWeight * (1 - stiffness), zero for
+    // joints with IK off; every update is passed through the joint's constraints.
+    solveJacobianFamily(endEffector, solver, computeStep) {
+        const model = this.getPathModel(endEffector);
+        const { joints } = model;
+        const reach = model.lengths.reduce((sum, len) => sum + len, 0);
+        const weights = joints.map(joint => joint.ikEnabled
+            ? Math.max(0, joint.ikWeight) * MathUtils.clamp(1 - joint.stiffness, 0, 1)
+            : 0);
+        if (reach < 0.001 || weights.every(w => w === 0)) return this.createDiagnostics(endEffector, solver, 0);
+        
+        const locals = this.seedPreferredAngles(model);
+        const passes = [];
+        let iterations = 0;
+        for (let iter = 0; iter < this.iterations; iter++) {
+            const points = this.getPathPoints(model, locals);
+            const tip = points[points.length - 1];
+            let error = this.target.subtract(tip);
+            if (error.magnitude() < this.threshold) break;
+            iterations++;
+            if (this.debug) passes.push(points);
+            
+            // Clamp the task-space step so linearization holds for far targets
+            const maxError = reach * 0.25;
+            if (error.magnitude() > maxError) error = error.normalize().multiply(maxError);
+            
+            // d(tip)/d(theta_i) = perpendicular of (tip - joint i)
+            const jacobian = joints.map((joint, i) => new Vector2(
+                -(tip.y - points[i].y),
+                tip.x - points[i].x
+            ));
+            
+            const step = computeStep(model, jacobian, weights, error);
+            if (!step) break;
+            step.forEach((delta, i) => {
+                locals[i] = joints[i].constrainAngle(MathUtils.normalizeAngle(locals[i] + delta), this.constraintMode);
             });
         }
+        
+        joints.forEach((joint, i) => joint.setAngle(locals[i]));
+        return this.createDiagnostics(endEffector, solver, iterations, { passes });
     }
 
-    solveAnalytical(endEffector) {
-        // Analytical solution for 2-joint arm
-        const joints = this.getAllJointsInOrder();
-        if (joints.length !== 2) return;
+    // J W J^T as the symmetric 2x2 [[a, b], [b, c]]
+    weightedGram(jacobian, weights) {
+        let a = 0, b = 0, c = 0;
+        jacobian.forEach((column, i) => {
+            a += weights[i] * column.x * column.x;
+            b += weights[i] * column.x * column.y;
+            c += weights[i] * column.y * column.y;
+        });
+        return { a, b, c };
+    }
+
+    // Eigenvalues (descending) and unit eigenvectors of [[a, b], [b, c]]
+    symmetricEigen2(a, b, c) {
+        const mean = (a + c) / 2;
+        const radius = Math.hypot((a - c) / 2, b);
+        const values = [mean + radius, mean - radius];
         
-        const l1 = joints[0].length;
-        const l2 = joints[1].length;
-        const targetDist = Vector2.distance(this.root.getWorldPosition(), this.target);
+        const vectors = values.map(value => {
+            const v = Math.abs(b) > 1e-12
+                ? new Vector2(b, value - a)
+                : (Math.abs(a - value) <= Math.abs(c - value) ? new Vector2(1, 0) : new Vector2(0, 1));
+            return v.normalize();
+        });
+        // Degenerate (repeated eigenvalue): any orthonormal pair works
+        if (Math.abs(vectors[0].dot(vectors[1])) > 0.5) vectors[1] = new Vector2(-vectors[0].y, vectors[0].x);
         
-        if (targetDist > l1 + l2) {
-            // Target too far, stretch toward it
-            const angle = Math.atan2(
-                this.target.y - this.root.getWorldPosition().y,
-                this.target.x - this.root.getWorldPosition().x
-            );
-            joints[0].setAngle(angle);
-            joints[1].setAngle(0);
-            return;
+        return { values, vectors };
+    }
+
+    // Closed-form two-bone solve on the last two bones of the path to the end effector;
+    // the joints above them keep their angles. The reach is eased into [|l1 - l2|, l1 + l2]
+    // with soft margins, so the limb slows down near full extension or full fold instead of
+    // snapping, and both angles go through the joints' constraints.
+    solveAnalytical(endEffector) {
+        const model = this.getPathModel(endEffector);
+        const { joints, lengths, offsets } = model;
+        const n = joints.length;
+        if (n < 2) return this.createDiagnostics(endEffector, 'analytical', 0);
+        
+        const locals = [...model.locals];
+        const points = this.getPathPoints(model, locals);
+        const upper = n - 2, lower = n - 1;
+        const l1 = lengths[upper], l2 = lengths[lower];
+        if (l1 < 0.001 || l2 < 0.001) return this.createDiagnostics(endEffector, 'analytical', 0);
+        
+        const base = points[upper];
+        const parentWorld = model.baseAngle + locals.slice(0, upper).reduce((sum, a) => sum + a, 0);
+        const toTarget = this.target.subtract(base);
+        const tip = points[n];
+        const aim = toTarget.magnitude() > 0.001 ? toTarget.angle() : tip.subtract(base).angle();
+        
+        const minReach = Math.abs(l1 - l2), maxReach = l1 + l2;
+        const soft = Math.min((l1 + l2) * 0.05, (maxReach - minReach) / 4);
+        const dist = toTarget.magnitude();
+        let reach = dist;
+        if (soft > 0 && reach > maxReach - soft) {
+            reach = maxReach - soft * Math.exp(-(reach - (maxReach - soft)) / soft);
+        } else if (soft > 0 && reach < minReach + soft) {
+            reach = minReach + soft * Math.exp(-((minReach + soft) - reach) / soft);
         }
+        reach = MathUtils.clamp(reach, minReach, maxReach);
+        const goal = base.add(new Vector2(Math.cos(aim), Math.sin(aim)).multiply(reach));
+        
+        // Bend side: the lower joint's preferred angle, else its current bend.
+        // A positive bend puts the upper bone on the negative side of the target line.
+        const c = joints[lower].constraints;
+        const bend = c.enabled && Math.abs(c.preferredAngle) > 0.001
+            ? c.preferredAngle
+            : MathUtils.normalizeAngle(locals[lower] + offsets[lower] - offsets[upper]);
+        const side = bend > 0 ? -1 : 1;
+        
+        const cosBase = (l1 * l1 + reach * reach - l2 * l2) / (2 * l1 * Math.max(reach, 0.001));
+        const upperBone = aim + side * Math.acos(MathUtils.clamp(cosBase, -1, 1));
+        
+        const aimLower = () => {
+            const upperWorld = parentWorld + locals[upper];
+            const mid = base.add(new Vector2(Math.cos(upperWorld + offsets[upper]), Math.sin(upperWorld + offsets[upper])).multiply(l1));
+            const lowerBone = goal.subtract(mid).angle();
+            locals[lower] = joints[lower].constrainAngle(MathUtils.normalizeAngle(lowerBone - offsets[lower] - upperWorld), this.constraintMode);
+        };
         
-        if (targetDist < Math.abs(l1 - l2)) {
-            // Target too close
-            joints[0].setAngle(0);
-            joints[1].setAngle(0);
-            return;
+        locals[upper] = joints[upper].constrainAngle(MathUtils.normalizeAngle(upperBone - offsets[upper] - parentWorld), this.constraintMode);
+        aimLower();
+        const passes = this.debug ? [this.getPathPoints(model, locals)] : [];
+        let iterations = 1;
+        
+        // A limited lower joint changes the limb's shape; swing it back onto the target line
+        const reached = this.getPathPoints(model, locals)[n];
+        const swing = aim - reached.subtract(base).angle();
+        if (Math.abs(MathUtils.normalizeAngle(swing)) > 0.001) {
+            locals[upper] = joints[upper].constrainAngle(MathUtils.normalizeAngle(locals[upper] + swing), this.constraintMode);
+            aimLower();
+            if (this.debug) passes.push(this.getPathPoints(model, locals));
+            iterations++;
         }
         
-        // Law of cosines
-        const cosAngle2 = (targetDist * targetDist - l1 * l1 - l2 * l2) / (2 * l1 * l2);
-        const angle2 = Math.acos(MathUtils.clamp(cosAngle2, -1, 1));
-        
-        const cosAngle1 = (l1 * l1 + targetDist * targetDist - l2 * l2) / (2 * l1 * targetDist);
-        const angle1 = Math.acos(MathUtils.clamp(cosAngle1, -1, 1));
-        
-        const baseAngle = Math.atan2(
-            this.target.y - this.root.getWorldPosition().y,
-            this.target.x - this.root.getWorldPosition().x
-        );
-        
-        joints[0].setAngle(baseAngle + angle1);
-        joints[1].setAngle(angle2);
+        joints.forEach((joint, i) => joint.setAngle(locals[i]));
+        return this.createDiagnostics(endEffector, 'analytical', iterations, { softReach: reach !== dist, passes });
     }
 
     getAllJointsInOrder() {
@@ -624,4 +956,38 @@ class JointChain {
         const joints = this.root.getAllJoints();
         joints.forEach(joint => joint.reset());
     }
+
+    serialize() {
+        return {
+            root: this.root.serialize(),
+            target: { x: this.target.x, y: this.target.y },
+            ikEnabled: this.ikEnabled,
+            ikStrength: this.ikStrength,
+            solverType: this.solverType,
+            constraintMode: this.constraintMode,
+            iterations: this.iterations,
+            threshold: this.threshold,
+            dampingFactor: this.dampingFactor,
+            singularityThreshold: this.singularityThreshold
+        };
+    }
+
+    // Restore in place so InputHandler/UIControls keep their reference to this chain
+    restore(data) {
+        if (data.root) {
+            this.root = Joint.deserialize(data.root);
+            this.root.updateTransform();
+        }
+        if (data.target) this.target = new Vector2(data.target.x, data.target.y);
+        this.ikEnabled = data.ikEnabled ?? this.ikEnabled;
+        this.ikStrength = data.ikStrength ?? this.ikStrength;
+        this.solverType = data.solverType ?? this.solverType;
+        this.constraintMode = data.constraintMode ?? this.constraintMode;
+        this.iterations = data.iterations ?? this.iterations;
+        this.threshold = data.threshold ?? this.threshold;
+        this.dampingFactor = data.dampingFactor ?? this.dampingFactor;
+        this.singularityThreshold = data.singularityThreshold ?? this.singularityThreshold;
+    }
 }
+
+export { Joint, JointChain };
@@ -0,0 +1,95 @@
+// Forward Kinematics for Bitruvius skeleton data
+class Kinematics {
+    static d2r(d) { return d * Math.PI / 180; }
+    static r2d(r) { return r * 180 / Math.PI; }
+    static normA(a) { return ((a % 360) + 540) % 360 - 180; }
+
+    // World transform of one joint: { x, y, angle, parentAngle }, angles in degrees.
+    // The root joint sits at `center` (the root position channel) and turns the whole body
+    // by its own rotation. `stretch` ({ chainId: factor }) lengthens the bones of stretched
+    // IK chains, see pivotScale.
+    static computeWorld(bitruviusData, jointId, rotations, center = [0, 0], stretch = null) {
+        const defs = bitruviusData.JOINT_DEFS;
+        const path = [];
+        let cur = jointId;
+        while (cur) {
+            path.unshift(cur);
+            cur = defs[cur]?.parent;
+        }
+
+        let wx = center[0], wy = center[1], wa = 0, pa = 0;
+        for (const j of path) {
+            const jDef = defs[j];
+            if (!jDef) continue;
+            if (!jDef.parent) {
+                wa = Kinematics.d2r(rotations[j] || 0);
+                continue;
+            }
+            const k = Kinematics.pivotScale(bitruviusData, j, stretch);
+            const px = jDef.pivot[0] * k, py = jDef.pivot[1] * k;
+            const c = Math.cos(wa), s = Math.sin(wa);
+            wx += px * c - py * s;
+            wy += px * s + py * c;
+            pa = wa;
+            wa += Kinematics.d2r(rotations[j] || 0);
+        }
+        return { x: wx, y: wy, angle: Kinematics.normA(Kinematics.r2d(wa)), parentAngle: Kinematics.normA(Kinematics.r2d(pa)) };
+    }
+
+    // World transforms of every joint in one pass over HIERARCHY: { jointId: { x, y, angle, parentAngle } }
+    static computePose(bitruviusData, rotations, center = [0, 0], stretch = null) {
+        const defs = bitruviusData.JOINT_DEFS;
+        const pose = {};
+        const radians = {};
+
+        bitruviusData.HIERARCHY.forEach(([id]) => {
+            const parentId = defs[id].parent;
+            if (!parentId) {
+                radians[id] = Kinematics.d2r(rotations[id] || 0);
+                pose[id] = { x: center[0], y: center[1], angle: Kinematics.normA(rotations[id] || 0), parentAngle: 0 };
+                return;
+            }
+
+            const parent = pose[parentId];
+            const pa = radians[parentId];
+            const k = Kinematics.pivotScale(bitruviusData, id, stretch);
+            const px = defs[id].pivot[0] * k, py = defs[id].pivot[1] * k;
+            const c = Math.cos(pa), s = Math.sin(pa);
+            radians[id] = pa + Kinematics.d2r(rotations[id] || 0);
+            pose[id] = {
+                x: parent.x + px * c - py * s,
+                y: parent.y + px * s + py * c,
+                angle: Kinematics.normA(Kinematics.r2d(radians[id])),
+                parentAngle: Kinematics.normA(Kinematics.r2d(pa))
+            };
+        });
+
+        return pose;
+    }
+
+    // Pivot length multiplier of a joint: every joint after the first in a stretched chain
+    // sits further from its parent, so the chain's bones lengthen and the rest follows
+    static pivotScale(bitruviusData, jointId, stretch) {
+        if (!stretch) return 1;
+        let scale = 1;
+        Object.entries(stretch).forEach(([chainId, factor]) => {
+            const joints = bitruviusData.IK_CHAINS[chainId]?.joints;
+            if (joints && joints.indexOf(jointId) > 0) scale *= factor;
+        });
+        return scale;
+    }
+
+    // Length multiplier of the bone starting at a joint (every chain joint but the last)
+    static boneScale(bitruviusData, jointId, stretch) {
+        if (!stretch) return 1;
+        let scale = 1;
+        Object.entries(stretch).forEach(([chainId, factor]) => {
+            const joints = bitruviusData.IK_CHAINS[chainId]?.joints;
+            const i = joints ? joints.indexOf(jointId) : -1;
+            if (i >= 0 && i < joints.length - 1) scale *= factor;
+        });
+        return scale;
+    }
+}
+
+export { Kinematics };
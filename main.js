@@ -1,40 +1,112 @@
 // Import all modules
-import './math.js';
-import './joint.js';
-import './renderer.js';
-import './input-handler.js';
-import './skeleton-data.js';
-import './advanced-ik-solver.js';
-import './skeleton-renderer.js';
+import { Vector2, MathUtils } from './math.js';
+import { JointChain } from './joint.js';
+import { Renderer } from './renderer.js';
+import { InputHandler } from './input-handler.js';
+import { BITRUVIUS_DATA } from './skeleton-data.js';
+import { AdvancedIKSolver } from './advanced-ik-solver.js';
+import { SkeletonRenderer } from './skeleton-renderer.js';
+import { SkeletonInputHandler } from './skeleton-input.js';
+import { Timeline, EASINGS } from './timeline.js';
+import { RigIO } from './rig-io.js';
+import { BVHMotion, BVH_PLANES } from './bvh-motion.js';
+import { RuntimeExporter } from './runtime-export.js';
+import { CommandHistory } from './history.js';
+import { Camera } from './camera.js';
+import { Kinematics } from './kinematics.js';
+import { Balance } from './balance.js';
+import { PoseMirror } from './mirror.js';
+import { PoseLibrary } from './pose-library.js';
+import { IKFKBlend } from './ik-fk-blend.js';
+
+// Session persistence
+const STATE_STORAGE_KEY = 'ikfkSystemState';
+const STATE_VERSION = 2;
 
 // Main Application Controller
 class IKFKSystem {
     constructor() {
         this.canvas = document.getElementById('rigCanvas');
         
+        // Undo/redo over the skeleton and JointChain edit state
+        this.history = new CommandHistory(
+            () => this.captureEditState(),
+            (state) => this.restoreEditState(state)
+        );
+        
         // Initialize with skeleton data
-        this.skeletonData = BITRUVIUS_DATA;
+        this.skeletonData = IKFKSystem.createDefaultRig();
+        this.rigName = 'Bitruvius';
+        this.isDefaultRig = true;
         this.advancedIKSolver = new AdvancedIKSolver(this.skeletonData);
-        this.skeletonRenderer = new SkeletonRenderer(this.canvas, this.skeletonData);
+        
+        // One view shared by both render paths and both input handlers
+        this.camera = new Camera();
+        this.skeletonRenderer = new SkeletonRenderer(this.canvas, this.skeletonData, this.camera);
+        
+        // Registered before InputHandler so skeleton hits take precedence over the demo chain
+        this.skeletonInput = new SkeletonInputHandler(this.canvas, this.skeletonRenderer, this.advancedIKSolver, this.history);
         
         // Keep original joint chain for compatibility
         this.jointChain = new JointChain(new Vector2(400, 300));
-        this.renderer = new Renderer(this.canvas);
-        this.inputHandler = new InputHandler(this.canvas, this.jointChain, this.renderer);
+        this.renderer = new Renderer(this.canvas, this.camera);
+        this.inputHandler = new InputHandler(this.canvas, this.jointChain, this.renderer, this.history);
         
-        // Current rotations state
+        // Current rotations state, plus per-chain bone stretch from the IK solve
         this.currentRotations = { ...this.skeletonData.initialRotations };
+        this.currentStretch = {};
         
         // Interaction modes
         this.interactionMode = "FK"; // "FK" or "IK"
         
+        // Keyframe animation
+        this.timeline = new Timeline(2);
+        this.timelineKeySignature = null; // keys and duration the strip's markers were built for
+        
+        // Loaded BVH clip and its rig joint -> BVH joint mapping
+        this.bvhMotion = null;
+        this.bvhMapping = {};
+        
+        // Full-body IK results
+        this.ikTolerance = 1;
+        this.ikResiduals = {};
+        this.limbSolver = 'fabrik'; // 'fabrik' or 'analytical'
+        
+        // Keep every joint on or above the ground line
+        this.groundContact = true;
+        
+        // Let the full-body solve move the root, e.g. lowering the hips so planted feet stay reachable
+        this.moveRoot = false;
+        
+        // Pose and root position the full-body solve's lean and root shift limits are measured
+        // from. Each frame's result is fed back in, so the reference is only re-captured when the
+        // user changes the pose or moves the root directly.
+        this.ikReference = null;
+        this.referenceDrag = null;
+        
+        // Center of mass: segment masses of the current rig, and whether to lean the torso
+        // and waist to keep it over the planted feet
+        this.segments = Balance.segmentMasses(this.skeletonData);
+        this.balanceMode = false;
+        
+        // Left/right counterparts for the mirror tools
+        this.poseMirror = new PoseMirror(this.skeletonData);
+        
+        // Rig poses plus poses saved in this session
+        this.poseLibrary = new PoseLibrary(this.skeletonData);
+        
+        // FK/IK switching: match (snap targets to FK, bake IK into FK) when switching, and
+        // per-chain blend weights that cross-fade the two over ikfkBlend.blendTime
+        this.matchIKFK = true;
+        this.ikfkBlend = new IKFKBlend(this.skeletonData);
+        
         // Animation state
         this.isRunning = true;
         this.lastTime = 0;
         this.deltaTime = 0;
         
         // UI state
-        this.uiControls = new UIControls(this.jointChain, this.renderer);
+        this.uiControls = new UIControls(this.jointChain, this.renderer, this.history);
         
         this.init();
     }
@@ -42,6 +114,7 @@ class IKFKSystem {
     init() {
         this.setupEventListeners();
         this.setupCanvas();
+        this.loadState();
         this.animate();
         console.log('Advanced IK/FK System with Skeleton Integration initialized');
     }
@@ -60,6 +133,21 @@ class IKFKSystem {
         
         // IK chain controls
         this.setupIKControls();
+        
+        // Keyframe timeline
+        this.setupTimelineControls();
+        
+        // Pose library
+        this.setupPoseLibraryControls();
+        
+        // Rig file open/save
+        this.setupRigControls();
+        
+        // BVH import
+        this.setupMocapControls();
+        
+        // Camera framing
+        this.setupViewControls();
     }
 
     setupModeControls() {
@@ -81,19 +169,26 @@ class IKFKSystem {
                 <input type="checkbox" id="silhouetteMode" checked>
                 <label for="silhouetteMode">Silhouette Mode</label>
             </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="debugOverlay">
+                <label for="debugOverlay">Solver Debug Overlay</label>
+            </div>
+            <div class="button-group">
+                <button class="btn secondary" id="mirrorLeftBtn" title="Copy the left side of the pose onto the right">Left → Right</button>
+                <button class="btn secondary" id="mirrorRightBtn" title="Copy the right side of the pose onto the left">Right → Left</button>
+                <button class="btn secondary" id="flipPoseBtn" title="Swap the two sides of the pose">Flip Pose</button>
+            </div>
         `;
         
         controlsPanel.insertBefore(modeSection, controlsPanel.firstChild);
         
         // Bind events
         document.getElementById('fkModeBtn').addEventListener('click', () => {
-            this.interactionMode = "FK";
-            this.updateModeButtons();
+            this.setInteractionMode("FK");
         });
         
         document.getElementById('ikModeBtn').addEventListener('click', () => {
-            this.interactionMode = "IK";
-            this.updateModeButtons();
+            this.setInteractionMode("IK");
         });
         
         document.getElementById('mocapMode').addEventListener('change', (e) => {
@@ -104,6 +199,22 @@ class IKFKSystem {
             this.skeletonRenderer.setSilhouetteMode(e.target.checked);
         });
         
+        document.getElementById('debugOverlay').addEventListener('change', (e) => {
+            this.setDebugOverlay(e.target.checked);
+        });
+        
+        document.getElementById('mirrorLeftBtn').addEventListener('click', () => {
+            this.history.execute('Copy left to right', () => this.mirrorPose('leftToRight'));
+        });
+        
+        document.getElementById('mirrorRightBtn').addEventListener('click', () => {
+            this.history.execute('Copy right to left', () => this.mirrorPose('rightToLeft'));
+        });
+        
+        document.getElementById('flipPoseBtn').addEventListener('click', () => {
+            this.history.execute('Flip pose', () => this.mirrorPose('flip'));
+        });
+        
         this.updateModeButtons();
     }
 
@@ -114,10 +225,738 @@ class IKFKSystem {
         ikSection.innerHTML = `
             <h3>IK Chains</h3>
             <div id="ikChainControls"></div>
+            <div id="aimControls"></div>
+            <div class="slider-control">
+                <label>Limb Solver</label>
+                <select id="limbSolver">
+                    <option value="fabrik">FABRIK</option>
+                    <option value="analytical">Analytical (two-bone)</option>
+                </select>
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="matchIKFK" ${this.matchIKFK ? 'checked' : ''}>
+                <label for="matchIKFK">Match on IK/FK Switch</label>
+            </div>
+            <div class="slider-control">
+                <label>IK/FK Blend Time <span class="value-display" id="ikBlendTimeValue">${this.ikfkBlend.blendTime.toFixed(2)}s</span></label>
+                <input type="range" id="ikBlendTime" min="0" max="1" step="0.05" value="${this.ikfkBlend.blendTime}">
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="groundContact" ${this.groundContact ? 'checked' : ''}>
+                <label for="groundContact">Ground Contact</label>
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="moveRoot" ${this.moveRoot ? 'checked' : ''}>
+                <label for="moveRoot">Solve Root Position</label>
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="showBalance">
+                <label for="showBalance">Show Center of Mass</label>
+                <span class="value-display" id="balanceStatus"></span>
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="balanceMode" ${this.balanceMode ? 'checked' : ''}>
+                <label for="balanceMode">Balance Mode</label>
+            </div>
+            <div class="button-group">
+                <button class="btn secondary" id="resetRootBtn" title="Move the root back to the center and clear its rotation">Reset Root</button>
+            </div>
+            <div class="button-group">
+                <button class="btn secondary" id="pinJointBtn" title="Plant the selected joint where it is">Pin / Unpin Selected</button>
+                <button class="btn secondary" id="clearPinsBtn">Clear Pins</button>
+            </div>
+            <div class="slider-control">
+                <label>Solver Seed</label>
+                <input type="number" id="solverSeed" value="${this.advancedIKSolver.seed}">
+            </div>
+            <div class="button-group">
+                <button class="btn secondary" id="resetSeedBtn">Reset Seed</button>
+            </div>
         `;
         
         controlsPanel.appendChild(ikSection);
         this.updateIKControls();
+        
+        const limbSolverSelect = document.getElementById('limbSolver');
+        limbSolverSelect.value = this.limbSolver;
+        limbSolverSelect.addEventListener('change', (e) => {
+            this.limbSolver = e.target.value;
+        });
+        
+        document.getElementById('matchIKFK').addEventListener('change', (e) => {
+            this.matchIKFK = e.target.checked;
+        });
+        
+        document.getElementById('ikBlendTime').addEventListener('input', (e) => {
+            this.ikfkBlend.blendTime = parseFloat(e.target.value);
+            document.getElementById('ikBlendTimeValue').textContent = `${this.ikfkBlend.blendTime.toFixed(2)}s`;
+        });
+        
+        document.getElementById('groundContact').addEventListener('change', (e) => {
+            this.groundContact = e.target.checked;
+        });
+        
+        document.getElementById('moveRoot').addEventListener('change', (e) => {
+            this.moveRoot = e.target.checked;
+        });
+        
+        document.getElementById('showBalance').addEventListener('change', (e) => {
+            this.skeletonRenderer.showBalance = e.target.checked;
+        });
+        
+        document.getElementById('balanceMode').addEventListener('change', (e) => {
+            this.balanceMode = e.target.checked;
+        });
+        
+        document.getElementById('resetRootBtn').addEventListener('click', () => {
+            this.history.execute('Reset root', () => this.resetRoot());
+        });
+        
+        document.getElementById('pinJointBtn').addEventListener('click', () => {
+            this.togglePin(this.skeletonInput.selectedJoint);
+        });
+        
+        document.getElementById('clearPinsBtn').addEventListener('click', () => {
+            this.history.execute('Clear pins', () => this.skeletonRenderer.clearPins());
+        });
+        
+        const seedInput = document.getElementById('solverSeed');
+        seedInput.addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (Number.isFinite(seed)) this.advancedIKSolver.setSeed(seed);
+            seedInput.value = this.advancedIKSolver.seed;
+        });
+        
+        document.getElementById('resetSeedBtn').addEventListener('click', () => {
+            this.advancedIKSolver.resetSeed();
+            seedInput.value = this.advancedIKSolver.seed;
+        });
+    }
+
+    setupTimelineControls() {
+        const controlsPanel = document.querySelector('.controls-panel');
+        const timelineSection = document.createElement('div');
+        timelineSection.className = 'control-section';
+        timelineSection.innerHTML = `
+            <h3>Timeline</h3>
+            <div class="timeline-strip" id="timelineStrip">
+                <div class="timeline-playhead" id="timelinePlayhead"></div>
+            </div>
+            <div class="slider-control">
+                <label>Time <span class="value-display" id="timelineTimeValue">0.00s</span></label>
+                <input type="range" id="timelineScrub" min="0" max="${this.timeline.duration}" step="0.01" value="0">
+            </div>
+            <div class="button-group">
+                <button class="btn" id="timelinePlayBtn">Play</button>
+                <button class="btn secondary" id="timelineStopBtn">Stop</button>
+            </div>
+            <div class="button-group">
+                <button class="btn" id="timelineKeyBtn">Set Key</button>
+                <button class="btn secondary" id="timelineDeleteKeyBtn">Delete Key</button>
+            </div>
+            <div class="slider-control">
+                <label>Easing</label>
+                <select id="timelineEasing">
+                    ${Object.keys(EASINGS).map(name => `<option value="${name}">${name}</option>`).join('')}
+                </select>
+            </div>
+            <div class="slider-control">
+                <label>Duration (s)</label>
+                <input type="number" id="timelineDuration" min="0.1" step="0.1" value="${this.timeline.duration}">
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="timelineLoop" ${this.timeline.loop ? 'checked' : ''}>
+                <label for="timelineLoop">Loop</label>
+            </div>
+        `;
+        
+        controlsPanel.appendChild(timelineSection);
+        
+        document.getElementById('timelinePlayBtn').addEventListener('click', () => {
+            this.timeline.togglePlayback();
+            this.updateTimelineControls();
+        });
+        
+        document.getElementById('timelineStopBtn').addEventListener('click', () => {
+            this.timeline.stop();
+            this.applyTimelinePose();
+            this.updateTimelineControls();
+        });
+        
+        document.getElementById('timelineScrub').addEventListener('input', (e) => {
+            this.timeline.pause();
+            this.timeline.seek(parseFloat(e.target.value));
+            this.applyTimelinePose();
+            this.updateTimelineControls();
+        });
+        
+        document.getElementById('timelineKeyBtn').addEventListener('click', () => {
+            const easing = document.getElementById('timelineEasing').value;
+            this.timeline.setKeyframe(
+                this.timeline.currentTime,
+                this.currentRotations,
+                this.skeletonRenderer.ikTargets,
+                easing,
+                this.skeletonRenderer.rootOffset
+            );
+            this.updateTimelineControls();
+        });
+        
+        document.getElementById('timelineDeleteKeyBtn').addEventListener('click', () => {
+            this.timeline.removeKeyframe(this.timeline.currentTime);
+            this.updateTimelineControls();
+        });
+        
+        document.getElementById('timelineEasing').addEventListener('change', (e) => {
+            this.timeline.setEasing(this.timeline.currentTime, e.target.value);
+            this.updateTimelineControls();
+        });
+        
+        document.getElementById('timelineDuration').addEventListener('change', (e) => {
+            const duration = parseFloat(e.target.value);
+            if (Number.isFinite(duration)) this.timeline.setDuration(duration);
+            e.target.value = this.timeline.duration;
+            document.getElementById('timelineScrub').max = this.timeline.duration;
+            this.updateTimelineControls();
+        });
+        
+        document.getElementById('timelineLoop').addEventListener('change', (e) => {
+            this.timeline.loop = e.target.checked;
+        });
+        
+        this.updateTimelineControls();
+    }
+
+    setupPoseLibraryControls() {
+        const controlsPanel = document.querySelector('.controls-panel');
+        const poseSection = document.createElement('div');
+        poseSection.className = 'control-section';
+        poseSection.innerHTML = `
+            <h3>Pose Library</h3>
+            <div class="pose-grid" id="poseGrid"></div>
+            <div class="slider-control">
+                <label>Apply To</label>
+                <select id="poseScope"></select>
+            </div>
+            <div class="slider-control">
+                <label>Pose Name <span class="value-display" id="poseSaveStatus"></span></label>
+                <input type="text" id="poseName" placeholder="New pose">
+            </div>
+            <div class="button-group">
+                <button class="btn" id="savePoseBtn">Save Current Pose</button>
+            </div>
+            <div class="slider-control">
+                <label>Blend <span class="value-display" id="poseBlendValue">0.00</span></label>
+                <select id="poseBlendA"></select>
+                <select id="poseBlendB"></select>
+                <input type="range" id="poseBlend" min="0" max="1" step="0.01" value="0">
+            </div>
+        `;
+        
+        controlsPanel.appendChild(poseSection);
+        this.updatePoseLibraryControls();
+        
+        document.getElementById('savePoseBtn').addEventListener('click', () => {
+            const input = document.getElementById('poseName');
+            const status = document.getElementById('poseSaveStatus');
+            const name = input.value.trim();
+            if (!name || this.poseLibrary.isBuiltIn(name)) {
+                status.textContent = name ? 'built-in name' : 'enter a name';
+                return;
+            }
+            this.history.execute('Save pose', () => this.poseLibrary.save(name, this.currentRotations));
+            status.textContent = '';
+            input.value = '';
+            this.updatePoseLibraryControls();
+        });
+        
+        document.getElementById('poseBlend').addEventListener('input', (e) => {
+            const t = parseFloat(e.target.value);
+            document.getElementById('poseBlendValue').textContent = t.toFixed(2);
+            this.history.execute('Blend poses', () => this.blendPoses(t), 'poseBlend');
+        });
+    }
+
+    // Rebuild the thumbnails, the scope list and the blend pickers, keeping their selections
+    updatePoseLibraryControls() {
+        const grid = document.getElementById('poseGrid');
+        grid.innerHTML = '';
+        const names = this.poseLibrary.names();
+        
+        names.forEach(name => {
+            const card = document.createElement('div');
+            card.className = 'pose-card';
+            card.title = `Apply ${name}`;
+            
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = 72;
+            thumbnail.height = 96;
+            this.skeletonRenderer.renderThumbnail(thumbnail, this.poseLibrary.get(name));
+            const label = document.createElement('div');
+            label.textContent = name;
+            card.append(thumbnail, label);
+            card.addEventListener('click', () => this.applyPose(name));
+            
+            if (!this.poseLibrary.isBuiltIn(name)) {
+                const remove = document.createElement('span');
+                remove.className = 'pose-delete';
+                remove.textContent = '×';
+                remove.title = `Delete ${name}`;
+                remove.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.history.execute('Delete pose', () => this.poseLibrary.remove(name));
+                    this.updatePoseLibraryControls();
+                });
+                card.appendChild(remove);
+            }
+            
+            grid.appendChild(card);
+        });
+        
+        const fill = (select, options, fallback) => {
+            const previous = select.value;
+            select.innerHTML = '';
+            options.forEach(([value, label]) => select.add(new Option(label, value)));
+            select.value = options.some(([value]) => value === previous) ? previous : fallback;
+        };
+        
+        fill(document.getElementById('poseScope'), [
+            ['all', 'Whole body'],
+            ['branch', 'Selected joint and below'],
+            ...Object.keys(this.skeletonData.IK_CHAINS).map(chainId => [
+                `chain:${chainId}`, this.skeletonData.CHAIN_LABELS[chainId] || chainId
+            ])
+        ], 'all');
+        
+        const poseOptions = names.map(name => [name, name]);
+        fill(document.getElementById('poseBlendA'), poseOptions, names[0]);
+        fill(document.getElementById('poseBlendB'), poseOptions, names[1] ?? names[0]);
+    }
+
+    // Joints the pose library writes to (null for all), from the Apply To picker
+    getPoseScopeJoints() {
+        const scope = document.getElementById('poseScope').value;
+        if (scope === 'branch') return PoseLibrary.scopeJoints(this.skeletonData, 'branch', this.skeletonInput.selectedJoint);
+        if (scope.startsWith('chain:')) return PoseLibrary.scopeJoints(this.skeletonData, 'chain', scope.slice('chain:'.length));
+        return null;
+    }
+
+    applyPose(name) {
+        const pose = this.poseLibrary.get(name);
+        if (!pose) return;
+        this.history.execute('Apply pose', () => this.setPose(pose));
+    }
+
+    // Mix the two picked library poses; t = 0 is the first, t = 1 the second
+    blendPoses(t) {
+        const a = this.poseLibrary.get(document.getElementById('poseBlendA').value);
+        const b = this.poseLibrary.get(document.getElementById('poseBlendB').value);
+        if (!a || !b) return;
+        this.setPose(PoseLibrary.blend(a, b, t));
+    }
+
+    // Write a pose over the Apply To joints. IK targets follow their effectors so the
+    // next solve keeps the new pose instead of pulling the limbs back.
+    setPose(pose) {
+        this.resetIKReference();
+        this.currentRotations = PoseLibrary.apply(this.currentRotations, pose, this.getPoseScopeJoints());
+        this.snapIKTargets();
+    }
+
+    // Match IK to FK: move the chains' IK targets (every existing one by default) onto their
+    // effectors in the current pose, so the next solve keeps the pose
+    snapIKTargets(chainIds = Object.keys(this.skeletonRenderer.ikTargets)) {
+        const positions = this.getSkeletonPositions();
+        chainIds.forEach(chainId => {
+            const effector = positions[this.skeletonData.IK_CHAINS[chainId]?.effector];
+            if (effector) this.skeletonRenderer.setIKTarget(chainId, effector.x, effector.y);
+        });
+    }
+
+    setupRigControls() {
+        const controlsPanel = document.querySelector('.controls-panel');
+        const rigSection = document.createElement('div');
+        rigSection.className = 'control-section';
+        rigSection.innerHTML = `
+            <h3>Rig</h3>
+            <div class="info-item">
+                <span class="info-label">Loaded:</span>
+                <span class="info-value" id="rigNameDisplay">${this.rigName}</span>
+            </div>
+            <div class="button-group">
+                <button class="btn" id="openRigBtn">Open Rig</button>
+                <button class="btn secondary" id="saveRigBtn">Save Rig</button>
+            </div>
+            <div class="button-group">
+                <button class="btn secondary" id="defaultRigBtn">Default Rig</button>
+            </div>
+            <div class="button-group">
+                <button class="btn secondary" id="exportSpineBtn">Export Spine</button>
+                <button class="btn secondary" id="exportDragonBonesBtn">Export DragonBones</button>
+            </div>
+            <input type="file" id="rigFileInput" accept=".json,application/json" style="display: none">
+            <div class="rig-status" id="rigStatus"></div>
+        `;
+        
+        controlsPanel.appendChild(rigSection);
+        
+        const fileInput = document.getElementById('rigFileInput');
+        document.getElementById('openRigBtn').addEventListener('click', () => fileInput.click());
+        
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            const { data, errors, warnings } = RigIO.importRig(await file.text());
+            if (data) {
+                this.loadRig(data, file.name.replace(/\.json$/i, ''));
+            }
+            this.showRigStatus(errors, warnings);
+        });
+        
+        document.getElementById('saveRigBtn').addEventListener('click', () => {
+            const rig = RigIO.exportRig(this.skeletonData, this.rigName);
+            this.downloadJSON(`${this.rigName}.json`, rig);
+        });
+        
+        document.getElementById('defaultRigBtn').addEventListener('click', () => {
+            this.loadRig(IKFKSystem.createDefaultRig(), 'Bitruvius', true);
+            this.showRigStatus([], []);
+        });
+        
+        document.getElementById('exportSpineBtn').addEventListener('click', () => {
+            const exporter = new RuntimeExporter(this.skeletonData);
+            const spine = exporter.toSpine({ keyframes: this.getExportKeyframes() });
+            this.downloadJSON(`${this.rigName}.spine.json`, spine);
+        });
+        
+        document.getElementById('exportDragonBonesBtn').addEventListener('click', () => {
+            const exporter = new RuntimeExporter(this.skeletonData);
+            const dragonBones = exporter.toDragonBones({
+                keyframes: this.getExportKeyframes(),
+                duration: this.timeline.keyframes.length > 0 ? this.timeline.duration : 0,
+                name: this.rigName
+            });
+            this.downloadJSON(`${this.rigName}_ske.json`, dragonBones);
+        });
+    }
+
+    // Timeline keys, or the current pose as a single key when nothing is keyed
+    getExportKeyframes() {
+        if (this.timeline.keyframes.length > 0) return this.timeline.keyframes;
+        return [{ time: 0, rotations: { ...this.currentRotations }, easing: 'linear' }];
+    }
+
+    setupMocapControls() {
+        const controlsPanel = document.querySelector('.controls-panel');
+        const mocapSection = document.createElement('div');
+        mocapSection.className = 'control-section';
+        mocapSection.innerHTML = `
+            <h3>Motion Capture</h3>
+            <div class="button-group">
+                <button class="btn" id="openBVHBtn">Load BVH</button>
+                <button class="btn secondary" id="applyBVHBtn" disabled>Apply to Timeline</button>
+            </div>
+            <input type="file" id="bvhFileInput" accept=".bvh" style="display: none">
+            <div class="info-item">
+                <span class="info-label">Clip:</span>
+                <span class="info-value" id="bvhInfo">None</span>
+            </div>
+            <div class="slider-control">
+                <label>Projection Plane</label>
+                <select id="bvhPlane">
+                    ${Object.keys(BVH_PLANES).map(plane => `<option value="${plane}">${plane.toUpperCase()}</option>`).join('')}
+                </select>
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="bvhMirror" checked>
+                <label for="bvhMirror">Mirror (performer faces camera)</label>
+            </div>
+            <div class="toggle-switch">
+                <input type="checkbox" id="bvhClamp" checked>
+                <label for="bvhClamp">Respect Joint Limits</label>
+            </div>
+            <div class="slider-control">
+                <label>Target FPS</label>
+                <input type="number" id="bvhFps" min="1" max="120" step="1" value="30">
+            </div>
+            <div class="mocap-mapping" id="bvhMapping"></div>
+        `;
+        
+        controlsPanel.appendChild(mocapSection);
+        
+        const fileInput = document.getElementById('bvhFileInput');
+        document.getElementById('openBVHBtn').addEventListener('click', () => fileInput.click());
+        
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            try {
+                this.bvhMotion = BVHMotion.parse(await file.text());
+            } catch (error) {
+                console.error('Failed to load BVH:', error);
+                document.getElementById('bvhInfo').textContent = error.message;
+                return;
+            }
+            
+            const motion = this.bvhMotion;
+            this.bvhMapping = motion.autoMap(this.skeletonData.JOINT_DEFS);
+            document.getElementById('bvhInfo').textContent =
+                `${motion.frameCount} frames @ ${Math.round(1 / motion.frameTime)} fps`;
+            document.getElementById('applyBVHBtn').disabled = false;
+            this.updateMocapMapping();
+        });
+        
+        document.getElementById('applyBVHBtn').addEventListener('click', () => this.applyMotion());
+    }
+
+    // Editable rig joint -> BVH joint table
+    updateMocapMapping() {
+        const container = document.getElementById('bvhMapping');
+        container.innerHTML = '';
+        if (!this.bvhMotion) return;
+        
+        const names = this.bvhMotion.jointNames;
+        this.skeletonData.HIERARCHY.forEach(([jointId]) => {
+            if (!this.skeletonData.JOINT_DEFS[jointId].parent) return;
+            
+            const row = document.createElement('div');
+            row.className = 'slider-control';
+            row.innerHTML = `
+                <label>${jointId}</label>
+                <select>
+                    <option value="">(unmapped)</option>
+                    ${names.map(name => `<option value="${name}">${name}</option>`).join('')}
+                </select>
+            `;
+            
+            const select = row.querySelector('select');
+            select.value = this.bvhMapping[jointId] || '';
+            select.addEventListener('change', (e) => {
+                if (e.target.value) this.bvhMapping[jointId] = e.target.value;
+                else delete this.bvhMapping[jointId];
+            });
+            
+            container.appendChild(row);
+        });
+    }
+
+    // Retarget the clip into timeline keyframes and play it through currentRotations
+    applyMotion() {
+        if (!this.bvhMotion) return;
+        
+        const fps = parseFloat(document.getElementById('bvhFps').value);
+        this.bvhMotion.toTimeline(this.timeline, this.skeletonData, this.bvhMapping, {
+            plane: document.getElementById('bvhPlane').value,
+            mirror: document.getElementById('bvhMirror').checked,
+            clampToLimits: document.getElementById('bvhClamp').checked,
+            fps: Number.isFinite(fps) ? fps : 30,
+            baseRotations: this.currentRotations
+        });
+        
+        // IK targets would fight the captured pose
+        this.setInteractionMode("FK");
+        this.skeletonRenderer.setMocapMode(true);
+        
+        this.timeline.play();
+        this.applyTimelinePose();
+        this.syncControls();
+    }
+
+    setupViewControls() {
+        const controlsPanel = document.querySelector('.controls-panel');
+        const viewSection = document.createElement('div');
+        viewSection.className = 'control-section';
+        viewSection.innerHTML = `
+            <h3>View</h3>
+            <div class="button-group">
+                <button class="btn secondary" id="frameSelectionBtn" title="F">Frame Selection</button>
+                <button class="btn secondary" id="frameAllBtn" title="Shift+F">Frame All</button>
+            </div>
+            <div class="button-group">
+                <button class="btn secondary" id="resetViewBtn" title="Ctrl+R">Reset View</button>
+            </div>
+        `;
+        
+        controlsPanel.appendChild(viewSection);
+        
+        document.getElementById('frameSelectionBtn').addEventListener('click', () => this.frameSelection());
+        document.getElementById('frameAllBtn').addEventListener('click', () => this.frameAll());
+        document.getElementById('resetViewBtn').addEventListener('click', () => this.camera.reset());
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'KeyF' || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.matches?.('input, textarea, select')) return;
+            if (e.shiftKey) this.frameAll();
+            else this.frameSelection();
+        });
+    }
+
+    // World positions of every skeleton joint in the current pose
+    getSkeletonPositions() {
+        return Kinematics.computePose(this.skeletonData, this.currentRotations, this.skeletonRenderer.getCenter(), this.currentStretch);
+    }
+
+    frameAll() {
+        const points = this.jointChain.root.getAllJoints().map(joint => joint.getWorldPosition());
+        points.push(...Object.values(this.getSkeletonPositions()));
+        this.frameWorldPoints(points);
+    }
+
+    // Selected JointChain joints plus the picked skeleton joint and everything below it
+    frameSelection() {
+        const points = this.jointChain.root.getAllJoints()
+            .filter(joint => joint.selected)
+            .map(joint => joint.getWorldPosition());
+        
+        const picked = this.skeletonInput.selectedJoint;
+        if (picked && this.skeletonData.JOINT_DEFS[picked]) {
+            const positions = this.getSkeletonPositions();
+            const inSubtree = (id) => {
+                for (let cur = id; cur; cur = this.skeletonData.JOINT_DEFS[cur]?.parent) {
+                    if (cur === picked) return true;
+                }
+                return false;
+            };
+            Object.entries(positions).forEach(([id, pos]) => {
+                if (inSubtree(id)) points.push(pos);
+            });
+        }
+        
+        if (points.length === 0) {
+            this.frameAll();
+            return;
+        }
+        this.frameWorldPoints(points);
+    }
+
+    frameWorldPoints(points) {
+        const bounds = Camera.boundsOf(points);
+        if (!bounds) return;
+        this.camera.frameBounds(bounds, this.skeletonRenderer.width, this.skeletonRenderer.height);
+    }
+
+    // Hot-swap the skeleton; the pose and timeline are reset because their joint ids belong to the old rig
+    loadRig(data, name, isDefault = false) {
+        this.skeletonData = data;
+        this.rigName = name;
+        this.isDefaultRig = isDefault;
+        this.advancedIKSolver.setData(data);
+        this.skeletonRenderer.setData(data);
+        this.skeletonInput.drag = null;
+        this.skeletonInput.selectedJoint = null;
+        
+        this.currentRotations = { ...data.initialRotations };
+        this.currentStretch = {};
+        this.resetIKReference();
+        this.segments = Balance.segmentMasses(data);
+        this.poseMirror = new PoseMirror(data);
+        this.poseLibrary = new PoseLibrary(data);
+        this.ikfkBlend.setData(data);
+        this.ikResiduals = {};
+        this.timeline.clear();
+        this.history.clear();
+        if (this.bvhMotion) this.bvhMapping = this.bvhMotion.autoMap(data.JOINT_DEFS);
+        
+        document.getElementById('rigNameDisplay').textContent = name;
+        this.updateIKControls();
+        this.updateMocapMapping();
+        this.updateTimelineControls();
+        this.updatePoseLibraryControls();
+    }
+
+    showRigStatus(errors, warnings) {
+        const status = document.getElementById('rigStatus');
+        const lines = [
+            ...errors.map(msg => `<div class="rig-error">${this.escapeHTML(msg)}</div>`),
+            ...warnings.map(msg => `<div class="rig-warning">${this.escapeHTML(msg)}</div>`)
+        ];
+        status.innerHTML = lines.join('');
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    }
+
+    downloadJSON(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    updateTimelineControls() {
+        this.updateTimelinePlayhead();
+        this.updateTimelineKeys();
+    }
+
+    // Keyframe markers on the strip, rebuilt only when the keys or the duration changed
+    updateTimelineKeys() {
+        const { duration, keyframes } = this.timeline;
+        const signature = JSON.stringify([duration, keyframes.map(k => [k.time, k.easing])]);
+        if (signature === this.timelineKeySignature) return;
+        this.timelineKeySignature = signature;
+        
+        const strip = document.getElementById('timelineStrip');
+        strip.querySelectorAll('.timeline-key').forEach(el => el.remove());
+        keyframes.forEach(keyframe => {
+            const marker = document.createElement('div');
+            marker.className = 'timeline-key';
+            marker.style.left = `${(keyframe.time / duration) * 100}%`;
+            marker.title = `${keyframe.time.toFixed(2)}s (${keyframe.easing})`;
+            marker.addEventListener('click', () => {
+                this.timeline.pause();
+                this.timeline.seek(keyframe.time);
+                document.getElementById('timelineEasing').value = keyframe.easing;
+                this.applyTimelinePose();
+                this.updateTimelineControls();
+            });
+            strip.appendChild(marker);
+        });
+    }
+
+    // Per-frame part of updateTimelineControls
+    updateTimelinePlayhead() {
+        const { currentTime, duration, isPlaying } = this.timeline;
+        
+        document.getElementById('timelinePlayBtn').textContent = isPlaying ? 'Pause' : 'Play';
+        document.getElementById('timelineTimeValue').textContent = `${currentTime.toFixed(2)}s`;
+        document.getElementById('timelineScrub').value = currentTime;
+        document.getElementById('timelinePlayhead').style.left = `${(currentTime / duration) * 100}%`;
+    }
+
+    applyTimelinePose() {
+        this.resetIKReference();
+        const pose = this.timeline.sample();
+        if (!pose) return;
+        
+        this.currentRotations = { ...this.currentRotations, ...pose.rotations };
+        if (pose.root) this.skeletonRenderer.setRootOffset(pose.root.x, pose.root.y);
+        Object.entries(pose.ikTargets).forEach(([chainId, tgt]) => {
+            this.skeletonRenderer.setIKTarget(chainId, tgt.x, tgt.y);
+        });
+    }
+
+    // Switching matches the limbs when matchIKFK is on: entering IK snaps the targets to the
+    // FK pose, leaving it bakes the IK pose into FK. Otherwise the blend weights cross-fade.
+    setInteractionMode(mode) {
+        if (mode === this.interactionMode) return;
+        this.resetIKReference();
+        if (this.matchIKFK) {
+            if (mode === "IK") {
+                this.snapIKTargets();
+            } else {
+                this.ikfkBlend.bake(Object.keys(this.skeletonData.IK_CHAINS), this.currentRotations, this.currentStretch);
+            }
+        }
+        this.interactionMode = mode;
+        this.updateModeButtons();
     }
 
     updateModeButtons() {
@@ -141,20 +980,78 @@ class IKFKSystem {
             const chainControl = document.createElement('div');
             chainControl.className = 'toggle-switch';
             chainControl.innerHTML = `
-                <input type="checkbox" id="ik_${chainId}" checked>
+                <input type="checkbox" id="ik_${chainId}" ${this.skeletonRenderer.activeIKChains[chainId] ? 'checked' : ''}>
                 <label for="ik_${chainId}">${this.skeletonData.CHAIN_LABELS[chainId] || chainId}</label>
+                <span class="value-display" id="ikResidual_${chainId}"></span>
+                <button class="btn secondary" id="flipPole_${chainId}" title="Flip bend side and clear the pole point">⇄</button>
             `;
             
+            const weightControl = document.createElement('div');
+            weightControl.className = 'slider-control';
+            weightControl.innerHTML = `
+                <label>IK Weight <span class="value-display" id="ikWeightValue_${chainId}">${this.ikfkBlend.getWeight(chainId).toFixed(2)}</span></label>
+                <input type="range" id="ikWeight_${chainId}" min="0" max="1" step="0.05" value="${this.ikfkBlend.getWeight(chainId)}">
+            `;
+            weightControl.querySelector(`#ikWeight_${chainId}`).addEventListener('input', (e) => {
+                this.ikfkBlend.setWeight(chainId, parseFloat(e.target.value));
+                weightControl.querySelector(`#ikWeightValue_${chainId}`).textContent = this.ikfkBlend.getWeight(chainId).toFixed(2);
+            });
+            
+            chainControl.querySelector(`#flipPole_${chainId}`).addEventListener('click', () => {
+                this.history.execute('Flip pole', () => {
+                    const pole = this.skeletonData.IK_CHAINS[chainId].pole || { side: 1 };
+                    this.skeletonRenderer.setPoleSide(chainId, -(pole.side || 1));
+                });
+            });
+            
             const checkbox = chainControl.querySelector(`#ik_${chainId}`);
             checkbox.addEventListener('change', (e) => {
-                this.skeletonRenderer.toggleIKChain(chainId);
+                this.history.execute('Toggle IK chain', () => {
+                    this.skeletonRenderer.toggleIKChain(chainId);
+                    if (!this.skeletonRenderer.activeIKChains[chainId]) {
+                        if (this.matchIKFK) this.ikfkBlend.bake([chainId], this.currentRotations, this.currentStretch);
+                        this.skeletonRenderer.removeIKTarget(chainId);
+                    } else if (this.matchIKFK) {
+                        this.snapIKTargets([chainId]);
+                    }
+                });
                 this.updateIKControls();
             });
             
             container.appendChild(chainControl);
+            container.appendChild(weightControl);
+        });
+        
+        const aimContainer = document.getElementById('aimControls');
+        aimContainer.innerHTML = '';
+        Object.entries(this.skeletonData.AIM_CONSTRAINTS || {}).forEach(([aimId, aim]) => {
+            const aimControl = document.createElement('div');
+            aimControl.className = 'toggle-switch';
+            aimControl.innerHTML = `
+                <input type="checkbox" id="aim_${aimId}" ${this.skeletonRenderer.aimTargets[aimId] ? 'checked' : ''}>
+                <label for="aim_${aimId}">${aim.label || aimId}</label>
+            `;
+            
+            aimControl.querySelector(`#aim_${aimId}`).addEventListener('change', (e) => {
+                this.history.execute('Toggle aim', () => {
+                    if (e.target.checked) this.placeAimTarget(aimId);
+                    else this.skeletonRenderer.removeAimTarget(aimId);
+                });
+            });
+            
+            aimContainer.appendChild(aimControl);
         });
     }
 
+    // Start an aim target a short way along the joint's current aim axis
+    placeAimTarget(aimId, distance = 80) {
+        const aim = this.skeletonData.AIM_CONSTRAINTS[aimId];
+        const jointId = aim.joints[aim.joints.length - 1];
+        const joint = this.getSkeletonPositions()[jointId];
+        const angle = Kinematics.d2r(joint.angle) + Math.atan2(aim.axis[1], aim.axis[0]);
+        this.skeletonRenderer.setAimTarget(aimId, joint.x + Math.cos(angle) * distance, joint.y + Math.sin(angle) * distance);
+    }
+
     animate(currentTime = 0) {
         if (!this.isRunning) return;
         
@@ -176,6 +1073,12 @@ class IKFKSystem {
         // Update original joint chain
         this.jointChain.update(deltaTime);
         
+        // Keyframe playback drives the pose before any direct manipulation
+        if (this.timeline.update(deltaTime)) {
+            this.applyTimelinePose();
+            this.updateTimelinePlayhead();
+        }
+        
         // Update skeleton rotations based on interaction
         this.updateSkeletonInteraction();
         
@@ -184,8 +1087,225 @@ class IKFKSystem {
     }
 
     updateSkeletonInteraction() {
-        // This would integrate with input handler for skeleton-specific interactions
-        // For now, keep current rotations
+        // FK bone drags and IK effector drags from the skeleton input handler
+        this.currentRotations = this.skeletonInput.update(this.currentRotations, this.interactionMode);
+        
+        // A new drag, or one that poses bones or the root directly, starts a new reference
+        const drag = this.skeletonInput.drag;
+        if ((drag && drag !== this.referenceDrag) || drag?.type === 'fk' || drag?.type === 'root') {
+            this.resetIKReference();
+        }
+        this.referenceDrag = drag;
+        
+        // Lean first so the pin and IK solves below put the limbs back where they belong
+        if (this.balanceMode) {
+            const { span } = this.evaluateBalance();
+            this.currentRotations = this.advancedIKSolver.solveBalance(
+                this.currentRotations,
+                this.skeletonRenderer.getCenter(),
+                this.segments,
+                span
+            );
+        }
+        
+        // IK/FK blend weights chase their goals before the solve picks the chains to chase
+        this.ikfkBlend.step(this.getIKBlendGoals(), this.deltaTime);
+        
+        if (this.interactionMode === "IK") {
+            this.solveIKTargets();
+        } else if (Object.keys(this.getActivePins()).length > 0) {
+            // Planted joints hold while the body is posed in FK
+            this.solveIKTargets(false);
+        } else if (this.groundContact) {
+            this.currentRotations = this.advancedIKSolver.enforceGround(
+                this.currentRotations,
+                this.skeletonRenderer.getCenter(),
+                this.skeletonRenderer.getGroundY()
+            );
+        }
+        
+        // Cross-fade each chain between its FK and IK layers; pinned chains hold exactly
+        const pinnedChains = Object.keys(this.getActivePins()).map(jointId => this.advancedIKSolver.getPinChain(jointId));
+        const mixed = this.ikfkBlend.apply(this.currentRotations, this.currentStretch, pinnedChains);
+        this.currentRotations = mixed.rotations;
+        this.setStretch(mixed.stretch);
+        
+        // Aim constraints go last, on top of the IK result
+        if (Object.keys(this.skeletonRenderer.aimTargets).length > 0) {
+            this.currentRotations = this.advancedIKSolver.solveAims(
+                this.skeletonRenderer.aimTargets,
+                this.currentRotations,
+                this.skeletonRenderer.getCenter()
+            );
+        }
+        
+        const balance = this.skeletonRenderer.showBalance || this.balanceMode ? this.evaluateBalance() : null;
+        this.skeletonRenderer.setBalance(balance);
+        this.updateBalanceStatus(balance);
+    }
+
+    // Center of mass and support of the current pose; pins and the ground (when contact is on) carry weight
+    evaluateBalance() {
+        return Balance.evaluate(this.skeletonData, this.segments, this.currentRotations, this.skeletonRenderer.getCenter(), {
+            stretch: this.currentStretch,
+            pins: this.getActivePins(),
+            groundY: this.groundContact ? this.skeletonRenderer.getGroundY() : null
+        });
+    }
+
+    updateBalanceStatus(balance) {
+        const status = document.getElementById('balanceStatus');
+        if (!balance) {
+            status.textContent = '';
+        } else if (!balance.span) {
+            status.textContent = 'no support';
+            status.style.color = '#ff6b6b';
+        } else if (balance.balanced) {
+            status.textContent = 'balanced';
+            status.style.color = '';
+        } else {
+            status.textContent = `${balance.offset > 0 ? '+' : ''}${balance.offset.toFixed(1)}px`;
+            status.style.color = '#ff6b6b';
+        }
+    }
+
+    // Blend goal per chain: its IK weight while IK mode chases its target, else 0 (FK)
+    getIKBlendGoals() {
+        const goals = {};
+        if (this.interactionMode !== "IK") return goals;
+        Object.keys(this.skeletonRenderer.ikTargets).forEach(chainId => {
+            if (this.skeletonRenderer.activeIKChains[chainId]) goals[chainId] = this.ikfkBlend.getWeight(chainId);
+        });
+        return goals;
+    }
+
+    // Re-capture the full-body solve's reference pose on the next solve
+    resetIKReference() {
+        this.ikReference = null;
+    }
+
+    // Effector targets are only chased in IK mode, by chains with some IK blend; pins and the
+    // ground apply in both modes
+    solveIKTargets(includeTargets = true) {
+        if (!this.ikReference) {
+            this.ikReference = { rotations: { ...this.currentRotations }, center: this.skeletonRenderer.getCenter() };
+        }
+        
+        const targets = {};
+        if (includeTargets) {
+            Object.entries(this.skeletonRenderer.ikTargets).forEach(([chainId, tgt]) => {
+                if (this.skeletonRenderer.activeIKChains[chainId] && this.ikfkBlend.blend[chainId] > 0) targets[chainId] = tgt;
+            });
+        }
+        
+        const result = this.advancedIKSolver.solveFullBody(
+            targets,
+            this.currentRotations,
+            this.skeletonRenderer.getCenter(),
+            {
+                tolerance: this.ikTolerance,
+                solver: this.limbSolver,
+                stretch: this.currentStretch,
+                // In FK the user owns the torso, so only the limbs move to hold pins
+                maxLean: includeTargets ? undefined : 0,
+                leanReference: includeTargets ? this.ikReference.rotations : this.currentRotations,
+                pins: this.getActivePins(),
+                groundY: this.groundContact ? this.skeletonRenderer.getGroundY() : null,
+                moveRoot: this.moveRoot,
+                rootOrigin: this.ikReference.center
+            }
+        );
+        
+        this.currentRotations = result.rotations;
+        this.ikfkBlend.recordIK(Object.keys(targets), result.rotations, result.stretch);
+        if (this.moveRoot) this.skeletonRenderer.setRootPosition(...result.center);
+        this.setStretch(result.stretch);
+        this.ikResiduals = result.residuals;
+        this.skeletonRenderer.setIKResiduals(result.residuals, this.ikTolerance);
+        this.skeletonRenderer.setIKDiagnostics(result.diagnostics);
+        this.updateIKResidualDisplays();
+    }
+
+    setStretch(stretch) {
+        this.currentStretch = { ...stretch };
+        this.advancedIKSolver.stretch = { ...stretch };
+        this.skeletonRenderer.setStretch(this.currentStretch);
+    }
+
+    // Root back at the workspace center, unrotated
+    resetRoot() {
+        this.resetIKReference();
+        const rootId = Object.keys(this.skeletonData.JOINT_DEFS).find(id => !this.skeletonData.JOINT_DEFS[id].parent);
+        this.skeletonRenderer.setRootOffset(0, 0);
+        if (rootId) this.currentRotations = { ...this.currentRotations, [rootId]: 0 };
+    }
+
+    // Mirror the pose across the root: rotations, stretch, IK targets and poles, pins and
+    // aim targets. `mode` is 'flip', 'leftToRight' or 'rightToLeft' (see PoseMirror).
+    mirrorPose(mode) {
+        this.resetIKReference();
+        const renderer = this.skeletonRenderer;
+        const axisX = renderer.getCenter()[0];
+        
+        this.currentRotations = this.poseMirror.mirrorRotations(this.currentRotations, mode);
+        this.setStretch(this.poseMirror.mirrorChainValues(this.currentStretch, mode));
+        renderer.ikTargets = this.poseMirror.mirrorPoints(renderer.ikTargets, axisX, mode, true);
+        renderer.pins = this.poseMirror.mirrorPoints(renderer.pins, axisX, mode);
+        renderer.aimTargets = this.poseMirror.mirrorPoints(renderer.aimTargets, axisX, mode);
+        Object.entries(this.poseMirror.mirrorPoles(axisX, mode)).forEach(([chainId, pole]) => {
+            this.skeletonData.IK_CHAINS[chainId].pole = pole;
+        });
+        
+        // A chain that received a target has to be on to follow it
+        Object.keys(renderer.ikTargets).forEach(chainId => renderer.activeIKChains[chainId] = true);
+        this.updateIKControls();
+    }
+
+    // Pins whose chain is switched on
+    getActivePins() {
+        const pins = {};
+        Object.entries(this.skeletonRenderer.pins).forEach(([jointId, pin]) => {
+            const chainId = this.advancedIKSolver.getPinChain(jointId);
+            if (chainId && this.skeletonRenderer.activeIKChains[chainId]) pins[jointId] = pin;
+        });
+        return pins;
+    }
+
+    // Plant a joint at its current world position, or release it if already pinned.
+    // Only joints at or below an IK chain's effector can be held.
+    togglePin(jointId) {
+        if (!jointId || !this.advancedIKSolver.getPinChain(jointId)) return;
+        this.history.execute(this.skeletonRenderer.pins[jointId] ? 'Unpin joint' : 'Pin joint', () => {
+            if (this.skeletonRenderer.pins[jointId]) {
+                this.skeletonRenderer.removePin(jointId);
+                return;
+            }
+            const pos = this.getSkeletonPositions()[jointId];
+            this.skeletonRenderer.setPin(jointId, pos.x, pos.y);
+        });
+    }
+
+    // Solvers only record intermediate point sets while the overlay is on
+    setDebugOverlay(enabled) {
+        this.advancedIKSolver.debug = enabled;
+        this.jointChain.debug = enabled;
+        this.skeletonRenderer.showDebug = enabled;
+        this.renderer.showDebug = enabled;
+    }
+
+    updateIKResidualDisplays() {
+        Object.keys(this.skeletonData.IK_CHAINS).forEach(chainId => {
+            const display = document.getElementById(`ikResidual_${chainId}`);
+            if (!display) return;
+            
+            const residual = this.ikResiduals[chainId];
+            if (residual === undefined) {
+                display.textContent = '';
+                return;
+            }
+            display.textContent = `${residual.toFixed(1)}px`;
+            display.style.color = residual > this.ikTolerance ? '#f59e0b' : '';
+        });
     }
 
     render() {
@@ -210,34 +1330,285 @@ class IKFKSystem {
     }
 
     saveState() {
-        const state = {
+        try {
+            localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(this.createSnapshot()));
+        } catch (error) {
+            console.error('Failed to save state:', error);
+        }
+    }
+
+    // Everything undo/redo tracks: the JointChain, the skeleton pose, targets, pins, aims and
+    // poles, and the saved user poses
+    captureEditState() {
+        const poles = {};
+        Object.entries(this.skeletonData.IK_CHAINS).forEach(([chainId, chainDef]) => {
+            if (chainDef.pole) poles[chainId] = { ...chainDef.pole };
+        });
+        
+        return {
             jointChain: this.jointChain.serialize(),
-            skeletonRotations: this.currentRotations,
-            camera: this.inputHandler.camera,
+            skeleton: {
+                rotations: { ...this.currentRotations },
+                stretch: { ...this.currentStretch },
+                root: { ...this.skeletonRenderer.rootOffset },
+                ikTargets: Timeline.cloneTargets(this.skeletonRenderer.ikTargets),
+                pins: Timeline.cloneTargets(this.skeletonRenderer.pins),
+                aimTargets: Timeline.cloneTargets(this.skeletonRenderer.aimTargets),
+                activeIKChains: { ...this.skeletonRenderer.activeIKChains },
+                poles
+            },
+            poseLibrary: this.poseLibrary.serialize()
+        };
+    }
+
+    restoreEditState(state) {
+        // Drags in progress refer to the replaced joints/pose
+        this.skeletonInput.drag = null;
+        this.inputHandler.isDragging = false;
+        this.inputHandler.isRotating = false;
+        this.inputHandler.draggedJoint = null;
+        this.inputHandler.rotationHandle = null;
+        this.inputHandler.selectedJoint = null;
+        
+        this.applySnapshot(state);
+    }
+
+    // Complete, versioned session snapshot
+    createSnapshot() {
+        const edit = this.captureEditState();
+        
+        return {
+            version: STATE_VERSION,
+            jointChain: edit.jointChain,
+            // Only custom rigs are stored; the default one ships with the app
+            rig: this.isDefaultRig ? undefined : {
+                name: this.rigName,
+                data: RigIO.exportRig(this.skeletonData, this.rigName)
+            },
+            skeleton: {
+                ...edit.skeleton,
+                interactionMode: this.interactionMode,
+                mocapMode: this.skeletonRenderer.mocapMode,
+                silhouetteMode: this.skeletonRenderer.silhouetteMode,
+                showBalance: this.skeletonRenderer.showBalance
+            },
+            solver: {
+                seed: this.advancedIKSolver.seed,
+                ikTolerance: this.ikTolerance,
+                limbSolver: this.limbSolver,
+                groundContact: this.groundContact,
+                moveRoot: this.moveRoot,
+                balanceMode: this.balanceMode,
+                matchIKFK: this.matchIKFK,
+                ikBlendTime: this.ikfkBlend.blendTime,
+                ikWeights: { ...this.ikfkBlend.weights }
+            },
+            timeline: this.timeline.serialize(),
+            poseLibrary: edit.poseLibrary,
+            camera: {
+                zoom: this.camera.zoom,
+                pan: { x: this.camera.pan.x, y: this.camera.pan.y }
+            },
             renderer: {
                 showGrid: this.renderer.showGrid,
                 showConstraints: this.renderer.showConstraints,
                 showAngles: this.renderer.showAngles,
                 showNames: this.renderer.showNames,
                 showIKTarget: this.renderer.showIKTarget,
-                showRotationHandles: this.renderer.showRotationHandles
+                showRotationHandles: this.renderer.showRotationHandles,
+                showDebug: this.renderer.showDebug
             }
         };
-        
-        localStorage.setItem('ikfkSystemState', JSON.stringify(state));
     }
 
     loadState() {
-        const savedState = localStorage.getItem('ikfkSystemState');
-        if (savedState) {
+        const savedState = localStorage.getItem(STATE_STORAGE_KEY);
+        if (!savedState) return false;
+        
+        let state;
+        try {
+            state = IKFKSystem.migrateState(JSON.parse(savedState));
+        } catch (error) {
+            console.error('Failed to load state:', error);
+            return false;
+        }
+        
+        if (!state) {
+            console.warn('Ignoring saved state with unsupported format');
+            return false;
+        }
+        
+        this.applySnapshot(state);
+        return true;
+    }
+
+    // Fresh copy of the shipped rig. The app edits its rig in place (poles), so it never works
+    // on BITRUVIUS_DATA itself and the Default Rig button always gets the original back.
+    static createDefaultRig() {
+        return JSON.parse(JSON.stringify(BITRUVIUS_DATA));
+    }
+
+    // Bring older snapshots up to STATE_VERSION; null when the data can't be used
+    static migrateState(state) {
+        if (!state || typeof state !== 'object') return null;
+        
+        const version = state.version ?? 1;
+        if (typeof version !== 'number' || version > STATE_VERSION) return null;
+        
+        if (version === 1) {
+            // v1 stored the chain without its children, so only the pose and view survive
+            return {
+                version: STATE_VERSION,
+                skeleton: { rotations: state.skeletonRotations },
+                camera: state.camera,
+                renderer: state.renderer
+            };
+        }
+        
+        return state;
+    }
+
+    // Each section restores independently; a corrupt section keeps its defaults
+    applySnapshot(state) {
+        this.resetIKReference();
+        const restore = (section, apply) => {
+            if (state[section] === undefined) return;
             try {
-                const state = JSON.parse(savedState);
-                // Restore state
-                console.log('State loaded:', state);
+                apply(state[section]);
             } catch (error) {
-                console.error('Failed to load state:', error);
+                console.error(`Failed to restore ${section}:`, error);
             }
-        }
+        };
+        
+        restore('jointChain', (data) => this.jointChain.restore(data));
+        
+        // Before the skeleton section, whose ids refer to this rig
+        restore('rig', (data) => {
+            const { data: rig, errors } = RigIO.importRig(data.data);
+            if (rig) this.loadRig(rig, data.name || 'Untitled Rig');
+            else console.warn('Ignoring saved rig:', errors);
+        });
+        
+        restore('skeleton', (data) => {
+            if (data.rotations) {
+                this.currentRotations = { ...this.skeletonData.initialRotations, ...data.rotations };
+            }
+            if (data.stretch) {
+                const stretch = {};
+                Object.entries(data.stretch).forEach(([chainId, factor]) => {
+                    if (this.skeletonData.IK_CHAINS[chainId] && Number.isFinite(factor)) stretch[chainId] = factor;
+                });
+                this.setStretch(stretch);
+            }
+            if (data.root && Number.isFinite(data.root.x) && Number.isFinite(data.root.y)) {
+                this.skeletonRenderer.setRootOffset(data.root.x, data.root.y);
+            }
+            if (data.interactionMode === "FK" || data.interactionMode === "IK") {
+                this.interactionMode = data.interactionMode;
+            }
+            if (data.activeIKChains) {
+                Object.keys(this.skeletonRenderer.activeIKChains).forEach(chainId => {
+                    if (typeof data.activeIKChains[chainId] === 'boolean') {
+                        this.skeletonRenderer.activeIKChains[chainId] = data.activeIKChains[chainId];
+                    }
+                });
+            }
+            if (data.ikTargets) {
+                this.skeletonRenderer.ikTargets = {};
+                this.skeletonRenderer.ikResiduals = {};
+                Object.entries(data.ikTargets).forEach(([chainId, tgt]) => {
+                    if (this.skeletonData.IK_CHAINS[chainId]) {
+                        this.skeletonRenderer.setIKTarget(chainId, tgt.x, tgt.y);
+                    }
+                });
+            }
+            if (data.pins) {
+                this.skeletonRenderer.clearPins();
+                Object.entries(data.pins).forEach(([jointId, pin]) => {
+                    if (this.skeletonData.JOINT_DEFS[jointId] && Number.isFinite(pin.x) && Number.isFinite(pin.y)) {
+                        this.skeletonRenderer.setPin(jointId, pin.x, pin.y);
+                    }
+                });
+            }
+            if (data.aimTargets) {
+                this.skeletonRenderer.aimTargets = {};
+                Object.entries(data.aimTargets).forEach(([aimId, tgt]) => {
+                    if (this.skeletonData.AIM_CONSTRAINTS?.[aimId] && Number.isFinite(tgt.x) && Number.isFinite(tgt.y)) {
+                        this.skeletonRenderer.setAimTarget(aimId, tgt.x, tgt.y);
+                    }
+                });
+            }
+            Object.entries(data.poles || {}).forEach(([chainId, pole]) => {
+                if (this.skeletonData.IK_CHAINS[chainId]) {
+                    this.skeletonData.IK_CHAINS[chainId].pole = { ...pole };
+                }
+            });
+            if (typeof data.mocapMode === 'boolean') this.skeletonRenderer.setMocapMode(data.mocapMode);
+            if (typeof data.silhouetteMode === 'boolean') this.skeletonRenderer.setSilhouetteMode(data.silhouetteMode);
+            if (typeof data.showBalance === 'boolean') this.skeletonRenderer.showBalance = data.showBalance;
+        });
+        
+        restore('solver', (data) => {
+            if (Number.isFinite(data.seed)) this.advancedIKSolver.setSeed(data.seed);
+            if (Number.isFinite(data.ikTolerance)) this.ikTolerance = data.ikTolerance;
+            if (data.limbSolver === 'fabrik' || data.limbSolver === 'analytical') this.limbSolver = data.limbSolver;
+            if (typeof data.groundContact === 'boolean') this.groundContact = data.groundContact;
+            if (typeof data.moveRoot === 'boolean') this.moveRoot = data.moveRoot;
+            if (typeof data.balanceMode === 'boolean') this.balanceMode = data.balanceMode;
+            if (typeof data.matchIKFK === 'boolean') this.matchIKFK = data.matchIKFK;
+            if (Number.isFinite(data.ikBlendTime) && data.ikBlendTime >= 0) this.ikfkBlend.blendTime = data.ikBlendTime;
+            Object.entries(data.ikWeights || {}).forEach(([chainId, weight]) => {
+                if (this.skeletonData.IK_CHAINS[chainId] && Number.isFinite(weight)) this.ikfkBlend.setWeight(chainId, weight);
+            });
+        });
+        
+        restore('timeline', (data) => {
+            this.timeline = Timeline.deserialize(data);
+        });
+        
+        restore('poseLibrary', (data) => this.poseLibrary.restore(data));
+        
+        restore('camera', (data) => {
+            if (Number.isFinite(data.zoom)) {
+                this.camera.zoom = MathUtils.clamp(data.zoom, this.camera.minZoom, this.camera.maxZoom);
+            }
+            if (data.pan) this.camera.pan = new Vector2(data.pan.x, data.pan.y);
+        });
+        
+        restore('renderer', (data) => {
+            Object.keys(data).forEach(key => {
+                if (typeof this.renderer[key] === 'boolean' && typeof data[key] === 'boolean') {
+                    this.renderer[key] = data[key];
+                }
+            });
+        });
+        
+        this.syncControls();
+    }
+
+    // Refresh every panel from the current state after a restore
+    syncControls() {
+        this.updateModeButtons();
+        this.updateIKControls();
+        document.getElementById('mocapMode').checked = this.skeletonRenderer.mocapMode;
+        document.getElementById('debugOverlay').checked = this.renderer.showDebug;
+        this.setDebugOverlay(this.renderer.showDebug);
+        document.getElementById('silhouetteMode').checked = this.skeletonRenderer.silhouetteMode;
+        document.getElementById('solverSeed').value = this.advancedIKSolver.seed;
+        document.getElementById('limbSolver').value = this.limbSolver;
+        document.getElementById('groundContact').checked = this.groundContact;
+        document.getElementById('moveRoot').checked = this.moveRoot;
+        document.getElementById('showBalance').checked = this.skeletonRenderer.showBalance;
+        document.getElementById('balanceMode').checked = this.balanceMode;
+        document.getElementById('matchIKFK').checked = this.matchIKFK;
+        document.getElementById('ikBlendTime').value = this.ikfkBlend.blendTime;
+        document.getElementById('ikBlendTimeValue').textContent = `${this.ikfkBlend.blendTime.toFixed(2)}s`;
+        document.getElementById('timelineDuration').value = this.timeline.duration;
+        document.getElementById('timelineScrub').max = this.timeline.duration;
+        document.getElementById('timelineLoop').checked = this.timeline.loop;
+        this.updateTimelineControls();
+        this.updatePoseLibraryControls();
+        this.uiControls.syncFromChain();
     }
 
     destroy() {
@@ -248,9 +1619,10 @@ class IKFKSystem {
 
 // UI Controls Manager
 class UIControls {
-    constructor(jointChain, renderer) {
+    constructor(jointChain, renderer, history = null) {
         this.jointChain = jointChain;
         this.renderer = renderer;
+        this.history = history;
         
         this.setupControls();
         this.bindEvents();
@@ -260,6 +1632,8 @@ class UIControls {
         // Global controls
         this.addJointBtn = document.getElementById('addJointBtn');
         this.resetBtn = document.getElementById('resetBtn');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
         this.chainLengthSlider = document.getElementById('chainLength');
         
         // IK settings
@@ -267,6 +1641,7 @@ class UIControls {
         this.iterationsSlider = document.getElementById('iterations');
         this.thresholdSlider = document.getElementById('threshold');
         this.solverTypeSelect = document.getElementById('solverType');
+        this.constraintModeSelect = document.getElementById('constraintMode');
         
         // Value displays
         this.chainLengthValue = document.getElementById('chainLengthValue');
@@ -285,39 +1660,72 @@ class UIControls {
 
     bindEvents() {
         // Global controls
-        this.addJointBtn.addEventListener('click', () => this.addJoint());
-        this.resetBtn.addEventListener('click', () => this.resetSystem());
+        this.addJointBtn.addEventListener('click', () => this.edit('Add joint', () => this.addJoint()));
+        this.resetBtn.addEventListener('click', () => this.edit('Reset', () => this.resetSystem()));
+        this.undoBtn.addEventListener('click', () => this.history?.undo());
+        this.redoBtn.addEventListener('click', () => this.history?.redo());
         
         // Sliders
         this.chainLengthSlider.addEventListener('input', (e) => {
-            this.updateChainLength(parseInt(e.target.value));
+            this.edit('Chain length', () => this.updateChainLength(parseInt(e.target.value)), 'chainLength');
         });
         
         this.ikStrengthSlider.addEventListener('input', (e) => {
-            this.jointChain.ikStrength = parseFloat(e.target.value);
+            this.edit('IK strength', () => this.jointChain.ikStrength = parseFloat(e.target.value), 'ikStrength');
             this.ikStrengthValue.textContent = e.target.value;
         });
         
         this.iterationsSlider.addEventListener('input', (e) => {
-            this.jointChain.iterations = parseInt(e.target.value);
+            this.edit('Iterations', () => this.jointChain.iterations = parseInt(e.target.value), 'iterations');
             this.iterationsValue.textContent = e.target.value;
         });
         
         this.thresholdSlider.addEventListener('input', (e) => {
-            this.jointChain.threshold = parseFloat(e.target.value);
+            this.edit('Threshold', () => this.jointChain.threshold = parseFloat(e.target.value), 'threshold');
             this.thresholdValue.textContent = e.target.value;
         });
         
         // Solver type
         this.solverTypeSelect.addEventListener('change', (e) => {
-            this.jointChain.solverType = e.target.value;
+            this.edit('Solver type', () => this.jointChain.solverType = e.target.value);
         });
+        
+        this.constraintModeSelect.addEventListener('change', (e) => {
+            this.edit('Constraint mode', () => this.jointChain.constraintMode = e.target.value);
+        });
+    }
+
+    // Record a change in the command history; coalesceKey merges continuous slider input
+    edit(label, fn, coalesceKey = null) {
+        if (this.history) this.history.execute(label, fn, coalesceKey);
+        else fn();
+    }
+
+    // Reflect restored JointChain settings in the sliders
+    syncFromChain() {
+        const chain = this.jointChain;
+        const jointCount = chain.root.getJointCount();
+        
+        this.chainLengthSlider.value = jointCount;
+        this.chainLengthValue.textContent = jointCount;
+        this.ikStrengthSlider.value = chain.ikStrength;
+        this.ikStrengthValue.textContent = chain.ikStrength;
+        this.iterationsSlider.value = chain.iterations;
+        this.iterationsValue.textContent = chain.iterations;
+        this.thresholdSlider.value = chain.threshold;
+        this.thresholdValue.textContent = chain.threshold;
+        this.solverTypeSelect.value = chain.solverType;
+        this.constraintModeSelect.value = chain.constraintMode;
     }
 
     update() {
         // Update info displays
         this.updateInfoDisplays();
         
+        // Undo/redo availability
+        this.undoBtn.disabled = !this.history?.canUndo;
+        this.redoBtn.disabled = !this.history?.canRedo;
+        
         // Update joint controls
         this.updateJointControls();
     }
@@ -389,6 +1797,16 @@ class UIControls {
                 <input type="range" id="maxAngle_${joint.id}" min="-180" max="180" value="${MathUtils.radToDeg(joint.constraints.maxAngle)}">
             </div>
             
+            <div class="slider-control">
+                <label>Preferred Angle <span class="value-display" id="preferredAngleValue_${joint.id}">${MathUtils.radToDeg(joint.constraints.preferredAngle).toFixed(1)}°</span></label>
+                <input type="range" id="preferredAngle_${joint.id}" min="-180" max="180" value="${MathUtils.radToDeg(joint.constraints.preferredAngle)}">
+            </div>
+            
+            <div class="slider-control">
+                <label>Constraint Strength <span class="value-display" id="constraintStrengthValue_${joint.id}">${joint.constraints.constraintStrength.toFixed(2)}</span></label>
+                <input type="range" id="constraintStrength_${joint.id}" min="0" max="1" step="0.05" value="${joint.constraints.constraintStrength}">
+            </div>
+            
             <div class="slider-control">
                 <label>IK Weight <span class="value-display" id="ikWeightValue_${joint.id}">${joint.ikWeight.toFixed(2)}</span></label>
                 <input type="range" id="ikWeight_${joint.id}" min="0" max="2" step="0.1" value="${joint.ikWeight}">
@@ -412,19 +1830,19 @@ class UIControls {
         // FK toggle
         const fkToggle = controlDiv.querySelector(`#fk_${joint.id}`);
         fkToggle.addEventListener('change', (e) => {
-            joint.fkEnabled = e.target.checked;
+            this.edit('Toggle FK', () => joint.fkEnabled = e.target.checked);
         });
         
         // IK toggle
         const ikToggle = controlDiv.querySelector(`#ik_${joint.id}`);
         ikToggle.addEventListener('change', (e) => {
-            joint.ikEnabled = e.target.checked;
+            this.edit('Toggle IK', () => joint.ikEnabled = e.target.checked);
         });
         
         // Constraints toggle
         const constraintsToggle = controlDiv.querySelector(`#constraints_${joint.id}`);
         constraintsToggle.addEventListener('change', (e) => {
-            joint.constraints.enabled = e.target.checked;
+            this.edit('Toggle constraints', () => joint.constraints.enabled = e.target.checked);
         });
         
         // Angle slider
@@ -432,7 +1850,7 @@ class UIControls {
         const angleValue = controlDiv.querySelector(`#angleValue_${joint.id}`);
         angleSlider.addEventListener('input', (e) => {
             const angleDeg = parseFloat(e.target.value);
-            joint.setAngle(MathUtils.degToRad(angleDeg));
+            this.edit('Joint angle', () => joint.setAngle(MathUtils.degToRad(angleDeg)), `angle_${joint.id}`);
             angleValue.textContent = `${angleDeg.toFixed(1)}°`;
         });
         
@@ -441,7 +1859,7 @@ class UIControls {
         const minAngleValue = controlDiv.querySelector(`#minAngleValue_${joint.id}`);
         minAngleSlider.addEventListener('input', (e) => {
             const angleDeg = parseFloat(e.target.value);
-            joint.constraints.minAngle = MathUtils.degToRad(angleDeg);
+            this.edit('Min angle', () => joint.constraints.minAngle = MathUtils.degToRad(angleDeg), `minAngle_${joint.id}`);
             minAngleValue.textContent = `${angleDeg.toFixed(1)}°`;
         });
         
@@ -450,15 +1868,32 @@ class UIControls {
         const maxAngleValue = controlDiv.querySelector(`#maxAngleValue_${joint.id}`);
         maxAngleSlider.addEventListener('input', (e) => {
             const angleDeg = parseFloat(e.target.value);
-            joint.constraints.maxAngle = MathUtils.degToRad(angleDeg);
+            this.edit('Max angle', () => joint.constraints.maxAngle = MathUtils.degToRad(angleDeg), `maxAngle_${joint.id}`);
             maxAngleValue.textContent = `${angleDeg.toFixed(1)}°`;
         });
         
+        // Preferred angle slider (bend used when FABRIK starts from a straight chain)
+        const preferredAngleSlider = controlDiv.querySelector(`#preferredAngle_${joint.id}`);
+        const preferredAngleValue = controlDiv.querySelector(`#preferredAngleValue_${joint.id}`);
+        preferredAngleSlider.addEventListener('input', (e) => {
+            const angleDeg = parseFloat(e.target.value);
+            this.edit('Preferred angle', () => joint.constraints.preferredAngle = MathUtils.degToRad(angleDeg), `preferredAngle_${joint.id}`);
+            preferredAngleValue.textContent = `${angleDeg.toFixed(1)}°`;
+        });
+        
+        // Constraint strength slider (soft enforcement)
+        const constraintStrengthSlider = controlDiv.querySelector(`#constraintStrength_${joint.id}`);
+        const constraintStrengthValue = controlDiv.querySelector(`#constraintStrengthValue_${joint.id}`);
+        constraintStrengthSlider.addEventListener('input', (e) => {
+            this.edit('Constraint strength', () => joint.constraints.constraintStrength = parseFloat(e.target.value), `constraintStrength_${joint.id}`);
+            constraintStrengthValue.textContent = joint.constraints.constraintStrength.toFixed(2);
+        });
+        
         // IK weight slider
         const ikWeightSlider = controlDiv.querySelector(`#ikWeight_${joint.id}`);
         const ikWeightValue = controlDiv.querySelector(`#ikWeightValue_${joint.id}`);
         ikWeightSlider.addEventListener('input', (e) => {
-            joint.ikWeight = parseFloat(e.target.value);
+            this.edit('IK weight', () => joint.ikWeight = parseFloat(e.target.value), `ikWeight_${joint.id}`);
             ikWeightValue.textContent = joint.ikWeight.toFixed(2);
         });
         
@@ -466,14 +1901,14 @@ class UIControls {
         const stiffnessSlider = controlDiv.querySelector(`#stiffness_${joint.id}`);
         const stiffnessValue = controlDiv.querySelector(`#stiffnessValue_${joint.id}`);
         stiffnessSlider.addEventListener('input', (e) => {
-            joint.stiffness = parseFloat(e.target.value);
+            this.edit('Stiffness', () => joint.stiffness = parseFloat(e.target.value), `stiffness_${joint.id}`);
             stiffnessValue.textContent = joint.stiffness.toFixed(2);
         });
         
         // Color picker
         const colorPicker = controlDiv.querySelector(`#color_${joint.id}`);
         colorPicker.addEventListener('input', (e) => {
-            joint.color = e.target.value;
+            this.edit('Joint color', () => joint.color = e.target.value, `color_${joint.id}`);
         });
     }
 
@@ -511,19 +1946,6 @@ class UIControls {
     }
 }
 
-// Extend JointChain with serialization
-JointChain.prototype.serialize = function() {
-    return {
-        root: this.root.serialize(),
-        target: { x: this.target.x, y: this.target.y },
-        ikEnabled: this.ikEnabled,
-        ikStrength: this.ikStrength,
-        solverType: this.solverType,
-        iterations: this.iterations,
-        threshold: this.threshold
-    };
-};
-
 // Initialize the application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     const app = new IKFKSystem();
@@ -414,3 +414,5 @@ class MathUtils {
         return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
     }
 }
+
+export { Vector2, Matrix3, Quaternion, Vector3, MathUtils };
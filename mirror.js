@@ -0,0 +1,148 @@
+// Pose Mirroring
+// Left/right counterparts come from the rig's MIRROR_MAP ({ leftJointId: rightJointId });
+// joints it doesn't list (torso, neck, head, root) are their own counterpart, and IK chains
+// pair up through their effectors. Mirroring reflects across the vertical line through the
+// root, so a mirrored rotation is negated and a mirrored point has its x reflected. The
+// exception is a pair whose limits only allow bending one way, such as the default rig's
+// elbows and knees (0..150° on both sides): negating would leave the limits, so its rotation
+// carries over with the same sign and the limb keeps the rig's bend direction.
+//
+// Modes: 'flip' swaps the two sides of the whole pose, 'leftToRight' / 'rightToLeft' copy
+// one side onto the other and leave the source side and the center alone.
+import { MathUtils } from './math.js';
+
+const MIRROR_MODES = ['flip', 'leftToRight', 'rightToLeft'];
+
+class PoseMirror {
+    constructor(bitruviusData) {
+        this.data = bitruviusData;
+
+        // Joint -> counterpart in both directions, and the left/right sides
+        this.jointMap = {};
+        this.sides = {};
+        Object.entries(bitruviusData.MIRROR_MAP || {}).forEach(([left, right]) => {
+            this.jointMap[left] = right;
+            this.jointMap[right] = left;
+            this.sides[left] = 'left';
+            this.sides[right] = 'right';
+        });
+
+        // Joint -> sign its rotation takes on the counterpart (-1 reflects it)
+        this.signs = {};
+        const limits = bitruviusData.JOINT_LIMITS || {};
+        Object.keys(bitruviusData.JOINT_DEFS).forEach(id => {
+            this.signs[id] = PoseMirror.mirrorSign(limits[id], limits[this.counterpart(id)]);
+        });
+
+        // Chains pair up when their effectors do
+        this.chainMap = {};
+        const chains = Object.entries(bitruviusData.IK_CHAINS);
+        chains.forEach(([chainId, chainDef]) => {
+            const effector = this.counterpart(chainDef.effector);
+            const match = chains.find(([, other]) => other.effector === effector);
+            if (match) this.chainMap[chainId] = match[0];
+        });
+    }
+
+    counterpart(jointId) {
+        return this.jointMap[jointId] ?? jointId;
+    }
+
+    chainCounterpart(chainId) {
+        return this.chainMap[chainId] ?? chainId;
+    }
+
+    // Ids a mode writes from: every id for 'flip', else the source side only
+    static isSource(side, mode) {
+        if (mode === 'flip') return true;
+        return side === (mode === 'leftToRight' ? 'left' : 'right');
+    }
+
+    // Side of a chain, from its effector
+    chainSide(chainId) {
+        return this.sides[this.data.IK_CHAINS[chainId]?.effector];
+    }
+
+    // -1 when the source range negated fits the destination's limits, 1 when only the range
+    // itself does (a one-way bend on both sides), -1 without limits or when neither fits
+    static mirrorSign(from, to) {
+        if (!from || !to) return -1;
+        if (-from.max >= to.min && -from.min <= to.max) return -1;
+        if (from.min >= to.min && from.max <= to.max) return 1;
+        return -1;
+    }
+
+    // Rotations of every joint, carried onto its counterpart with the pair's sign where the
+    // mode writes. Only a rig whose paired limits fit neither way gets clamped.
+    mirrorRotations(rotations, mode = 'flip') {
+        const result = { ...rotations };
+        Object.keys(this.data.JOINT_DEFS).forEach(id => {
+            if (!PoseMirror.isSource(this.sides[id], mode)) return;
+            const target = this.counterpart(id);
+            const angle = rotations[id] || 0;
+            const lim = this.data.JOINT_LIMITS?.[target];
+            const mirrored = angle === 0 ? 0 : this.signs[id] * angle;
+            result[target] = lim ? MathUtils.clamp(mirrored, lim.min, lim.max) : mirrored;
+        });
+        return result;
+    }
+
+    // Per-chain values ({ chainId: value }, e.g. stretch) carried over unchanged
+    mirrorChainValues(values, mode = 'flip') {
+        const result = mode === 'flip' ? {} : { ...values };
+        if (mode !== 'flip') {
+            Object.keys(this.data.IK_CHAINS).forEach(chainId => {
+                if (PoseMirror.isSource(this.chainSide(chainId), mode)) delete result[this.chainCounterpart(chainId)];
+            });
+        }
+        Object.entries(values).forEach(([chainId, value]) => {
+            if (PoseMirror.isSource(this.chainSide(chainId), mode)) result[this.chainCounterpart(chainId)] = value;
+        });
+        return result;
+    }
+
+    // Mirror a { id: { x, y } } map (IK targets, pins, aim targets) across x = axisX.
+    // `chains` says whether the ids are chain ids or joint ids. Copy modes replace the
+    // destination side, so a source without a point clears its counterpart.
+    mirrorPoints(points, axisX, mode = 'flip', chains = false) {
+        const sideOf = id => chains ? this.chainSide(id) : this.sides[id];
+        const mapId = id => chains ? this.chainCounterpart(id) : this.counterpart(id);
+        const mirrored = p => ({ x: 2 * axisX - p.x, y: p.y });
+
+        if (mode === 'flip') {
+            const result = {};
+            Object.entries(points).forEach(([id, p]) => result[mapId(id)] = mirrored(p));
+            return result;
+        }
+
+        const source = mode === 'leftToRight' ? 'left' : 'right';
+        const result = {};
+        Object.entries(points).forEach(([id, p]) => {
+            const side = sideOf(id);
+            if (side && side !== source) return;
+            result[id] = { x: p.x, y: p.y };
+            if (side === source) result[mapId(id)] = mirrored(p);
+        });
+        return result;
+    }
+
+    // Mirrored pole of every destination chain: a pole point is reflected, and the side flips
+    // unless the chain's middle joints keep their sign (see mirrorSign), which keeps the bend.
+    // Returns { chainId: pole } for the caller to apply.
+    mirrorPoles(axisX, mode = 'flip') {
+        const poles = {};
+        Object.entries(this.data.IK_CHAINS).forEach(([chainId, chainDef]) => {
+            if (!chainDef.pole || !PoseMirror.isSource(this.chainSide(chainId), mode)) return;
+            const keepsBend = chainDef.joints.slice(1, -1).some(id => this.signs[id] === 1);
+            const pole = { side: (keepsBend ? 1 : -1) * (chainDef.pole.side || 1) };
+            if (typeof chainDef.pole.x === 'number' && typeof chainDef.pole.y === 'number') {
+                pole.x = 2 * axisX - chainDef.pole.x;
+                pole.y = chainDef.pole.y;
+            }
+            poles[this.chainCounterpart(chainId)] = pole;
+        });
+        return poles;
+    }
+}
+
+export { PoseMirror, MIRROR_MODES };
@@ -0,0 +1,105 @@
+// Pose Library
+// The rig's POSES are the built-in entries; poses saved from the app are kept separately
+// (user poses) so they can be persisted without touching the rig. A pose maps joint ids to
+// rotations in degrees and may leave joints out, in which case applying it leaves them alone.
+import { Timeline } from './timeline.js';
+
+const POSE_LIBRARY_VERSION = 1;
+
+class PoseLibrary {
+    constructor(bitruviusData) {
+        this.data = bitruviusData;
+        this.userPoses = {};
+    }
+
+    // Built-in names first, then user poses in the order they were saved
+    names() {
+        return [...Object.keys(this.data.POSES || {}), ...Object.keys(this.userPoses)];
+    }
+
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(this.data.POSES || {}, name);
+    }
+
+    get(name) {
+        if (this.isBuiltIn(name)) return this.data.POSES[name];
+        return this.userPoses[name] ?? null;
+    }
+
+    // Store rotations as a user pose; built-in names can't be overwritten
+    save(name, rotations) {
+        name = String(name).trim();
+        if (!name || this.isBuiltIn(name)) return false;
+        this.userPoses[name] = PoseLibrary.cleanPose(this.data, rotations);
+        return true;
+    }
+
+    remove(name) {
+        if (!this.userPoses[name]) return false;
+        delete this.userPoses[name];
+        return true;
+    }
+
+    // Copy `pose` over `rotations`, only for `jointIds` when given (see scopeJoints)
+    static apply(rotations, pose, jointIds = null) {
+        const result = { ...rotations };
+        Object.entries(pose).forEach(([id, angle]) => {
+            if (!jointIds || jointIds.includes(id)) result[id] = angle;
+        });
+        return result;
+    }
+
+    // Mix two poses along the shortest arc: t = 0 gives `a`, t = 1 gives `b`. A joint
+    // only one of them sets keeps that pose's rotation.
+    static blend(a, b, t) {
+        const result = { ...a };
+        Object.keys(b).forEach(id => {
+            result[id] = Timeline.lerpAngle(a[id] ?? b[id], b[id], t);
+        });
+        return result;
+    }
+
+    // Joints a pose is applied to: the whole rig for 'all' (null), a joint and everything
+    // below it for 'branch', or the joints of an IK chain for 'chain'
+    static scopeJoints(data, type, id = null) {
+        if (type === 'chain') return [...(data.IK_CHAINS[id]?.joints || [])];
+        if (type === 'branch') {
+            if (!data.JOINT_DEFS[id]) return [];
+            const ids = [id];
+            data.HIERARCHY.forEach(([jointId]) => {
+                if (ids.includes(data.JOINT_DEFS[jointId].parent)) ids.push(jointId);
+            });
+            return ids;
+        }
+        return null;
+    }
+
+    // Finite rotations of known joints, without the root: the root channels stay where they
+    // are when a pose is applied
+    static cleanPose(data, rotations) {
+        const pose = {};
+        Object.entries(rotations || {}).forEach(([id, angle]) => {
+            const jDef = data.JOINT_DEFS[id];
+            if (jDef && jDef.parent && Number.isFinite(angle)) pose[id] = angle;
+        });
+        return pose;
+    }
+
+    serialize() {
+        const poses = {};
+        Object.entries(this.userPoses).forEach(([name, pose]) => poses[name] = { ...pose });
+        return { version: POSE_LIBRARY_VERSION, poses };
+    }
+
+    // Replace the user poses; entries with a built-in name or no usable rotations are dropped
+    restore(data) {
+        this.userPoses = {};
+        if (!data || typeof data.poses !== 'object' || data.poses === null) return;
+        Object.entries(data.poses).forEach(([name, rotations]) => {
+            const pose = PoseLibrary.cleanPose(this.data, rotations);
+            if (!this.isBuiltIn(name) && Object.keys(pose).length > 0) this.userPoses[name] = pose;
+        });
+    }
+}
+
+export { PoseLibrary, POSE_LIBRARY_VERSION };
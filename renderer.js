@@ -1,8 +1,13 @@
 // Advanced Canvas Rendering System
+import { MathUtils } from './math.js';
+import { Camera } from './camera.js';
+import { DebugDraw, DEBUG_COLORS } from './debug-draw.js';
+
 class Renderer {
-    constructor(canvas) {
+    constructor(canvas, camera = new Camera()) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.camera = camera;
         this.setupCanvas();
         
         // Rendering options
@@ -12,6 +17,7 @@ class Renderer {
         this.showNames = true;
         this.showIKTarget = true;
         this.showRotationHandles = true;
+        this.showDebug = false;
         
         // Visual settings
         this.gridSize = 20;
@@ -53,14 +59,29 @@ class Renderer {
         window.addEventListener('resize', resizeCanvas);
     }
 
+    // Fills the whole canvas regardless of the camera
     clear() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.fillStyle = this.colors.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
+    }
+
+    // Canvas size in CSS pixels (screen space)
+    getViewportSize() {
+        return {
+            width: this.canvas.clientWidth || this.canvas.width,
+            height: this.canvas.clientHeight || this.canvas.height
+        };
     }
 
     render(jointChain, inputHandler) {
         this.clear();
         
+        this.ctx.save();
+        this.camera.apply(this.ctx);
+        
         if (this.showGrid) {
             this.drawGrid();
         }
@@ -71,34 +92,45 @@ class Renderer {
             this.drawIKTarget(jointChain.target);
         }
         
+        if (this.showDebug && jointChain.ikEnabled && jointChain.lastDiagnostics) {
+            this.drawDiagnostics(jointChain, jointChain.lastDiagnostics);
+        }
+        
         if (inputHandler) {
             this.drawInteractionElements(jointChain, inputHandler);
         }
         
+        this.ctx.restore();
+        
         this.updateFPS();
     }
 
     drawGrid() {
         this.ctx.strokeStyle = this.colors.grid;
         this.ctx.globalAlpha = this.gridOpacity;
-        this.ctx.lineWidth = 1;
+        this.ctx.lineWidth = 1 / this.camera.zoom;
         
-        const offsetX = this.canvas.width / 2 % this.gridSize;
-        const offsetY = this.canvas.height / 2 % this.gridSize;
+        // Cover whatever part of the world is on screen, aligned to the viewport centre
+        const { width, height } = this.getViewportSize();
+        const view = this.camera.getVisibleBounds(width, height);
+        const offsetX = width / 2 % this.gridSize;
+        const offsetY = height / 2 % this.gridSize;
+        const startX = offsetX + Math.floor((view.minX - offsetX) / this.gridSize) * this.gridSize;
+        const startY = offsetY + Math.floor((view.minY - offsetY) / this.gridSize) * this.gridSize;
         
         // Vertical lines
-        for (let x = offsetX; x < this.canvas.width; x += this.gridSize) {
+        for (let x = startX; x < view.maxX; x += this.gridSize) {
             this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, this.canvas.height);
+            this.ctx.moveTo(x, view.minY);
+            this.ctx.lineTo(x, view.maxY);
             this.ctx.stroke();
         }
         
         // Horizontal lines
-        for (let y = offsetY; y < this.canvas.height; y += this.gridSize) {
+        for (let y = startY; y < view.maxY; y += this.gridSize) {
             this.ctx.beginPath();
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(this.canvas.width, y);
+            this.ctx.moveTo(view.minX, y);
+            this.ctx.lineTo(view.maxX, y);
             this.ctx.stroke();
         }
         
@@ -109,7 +141,7 @@ class Renderer {
         const joints = jointChain.root.getAllJoints();
         
         // Draw bones first (behind joints)
-        this.drawBones(jointChain.root);
+        this.drawBones(jointChain.root, jointChain);
         
         // Draw constraints
         if (this.showConstraints) {
@@ -130,7 +162,7 @@ class Renderer {
         }
     }
 
-    drawBones(rootJoint) {
+    drawBones(rootJoint, jointChain) {
         const drawBone = (joint) => {
             const startPos = joint.getWorldPosition();
             const endPos = joint.getEndEffectorPosition();
@@ -263,9 +295,10 @@ class Renderer {
         this.ctx.lineWidth = 1;
         this.ctx.globalAlpha = 0.5;
         
-        // Draw constraint arc
-        const startAngle = joint.constraints.minAngle;
-        const endAngle = joint.constraints.maxAngle;
+        // Draw constraint arc (limits are relative to the parent bone)
+        const parentAngle = joint.parent ? joint.parent.getWorldAngle() : 0;
+        const startAngle = parentAngle + joint.constraints.minAngle;
+        const endAngle = parentAngle + joint.constraints.maxAngle;
         
         this.ctx.beginPath();
         this.ctx.arc(pos.x, pos.y, radius, startAngle, endAngle);
@@ -371,6 +404,53 @@ class Renderer {
         this.ctx.globalAlpha = 1;
     }
 
+    // Solver debug overlay: intermediate point sets (older passes fainter), joints resting
+    // on a constraint bound, and the residual vector from the tip to the target
+    drawDiagnostics(jointChain, diagnostics) {
+        this.ctx.strokeStyle = DEBUG_COLORS.pass;
+        this.ctx.fillStyle = DEBUG_COLORS.pass;
+        this.ctx.lineWidth = 1;
+        diagnostics.passes.forEach((points, i) => {
+            this.ctx.globalAlpha = 0.1 + 0.5 * (i + 1) / diagnostics.passes.length;
+            this.ctx.beginPath();
+            points.forEach((p, j) => j === 0 ? this.ctx.moveTo(p.x, p.y) : this.ctx.lineTo(p.x, p.y));
+            this.ctx.stroke();
+            points.forEach(p => {
+                this.ctx.beginPath();
+                this.ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+        });
+        this.ctx.globalAlpha = 1;
+        
+        const joints = jointChain.root.getAllJoints();
+        this.ctx.strokeStyle = DEBUG_COLORS.warning;
+        this.ctx.lineWidth = 2;
+        diagnostics.limitedJoints.forEach(name => {
+            const joint = joints.find(j => j.name === name);
+            if (!joint) return;
+            const pos = joint.getWorldPosition();
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, joint.radius + 6, 0, Math.PI * 2);
+            this.ctx.stroke();
+        });
+        
+        const endEffector = jointChain.root.getDeepestJoint();
+        const tip = endEffector.getEndEffectorPosition();
+        const target = jointChain.target;
+        if (diagnostics.residual > jointChain.threshold) {
+            DebugDraw.arrow(this.ctx, tip, target, DEBUG_COLORS.residual, 10, 2);
+        }
+        
+        const flags = [diagnostics.solver, `${diagnostics.iterations} it`, `${diagnostics.residual.toFixed(1)}px`];
+        if (diagnostics.softReach) flags.push('soft');
+        if (diagnostics.stretched) flags.push('stretch');
+        this.ctx.fillStyle = diagnostics.converged ? DEBUG_COLORS.pass : DEBUG_COLORS.warning;
+        this.ctx.font = '11px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(flags.join(' '), target.x + 20, target.y - 20);
+    }
+
     drawInteractionElements(jointChain, inputHandler) {
         if (!this.showRotationHandles) return;
         
@@ -492,11 +572,13 @@ class Renderer {
 
     // Utility method to convert screen coordinates to world coordinates
     screenToWorld(screenPos) {
-        return new Vector2(screenPos.x, screenPos.y);
+        return this.camera.screenToWorld(screenPos);
     }
 
     // Utility method to convert world coordinates to screen coordinates
     worldToScreen(worldPos) {
-        return { x: worldPos.x, y: worldPos.y };
+        return this.camera.worldToScreen(worldPos);
     }
 }
+
+export { Renderer };
@@ -0,0 +1,337 @@
+// Rig Import/Export - Bitruvius JSON rig format
+//
+// A rig file is a JSON object:
+//
+//   {
+//     "format": "bitruvius-rig",
+//     "version": 1,
+//     "name": "My Rig",                               (optional)
+//     "JOINT_DEFS": {
+//       "<jointId>": { "parent": "<jointId>" | null, "pivot": [x, y], "color": "#RRGGBB", "label": "..." }
+//     },
+//     "IK_CHAINS": {
+//       "<chainId>": {
+//         "joints": ["<jointId>", ...],                contiguous parent -> child path
+//         "effector": "<jointId>",                     last joint of `joints`
+//         "priority": 1, "stretchRatio": 1.1, "curveStrength": 0.5,
+//         "pole": { "side": 1 | -1, "x": 0, "y": 0 }  (x/y optional)
+//       }
+//     },
+//     "CHAIN_LABELS": { "<chainId>": "Label" },        (optional)
+//     "PRIORITY_ORDER": ["<chainId>", ...],            (optional)
+//     "AIM_CONSTRAINTS": {                              (optional)
+//       "<aimId>": {
+//         "joints": ["<jointId>", ...],                ancestors first; the last one aims
+//         "weights": [1, ...],                         share of the turn per joint (optional)
+//         "axis": [x, y],                              aim direction in the last joint's frame
+//         "label": "..."                               (optional)
+//       }
+//     },
+//     "MIRROR_MAP": { "<leftJointId>": "<rightJointId>" }, (optional, for the mirror tools)
+//     "JOINT_LIMITS": { "<jointId>": { "min": degrees, "max": degrees } },
+//     "MASSES": { "<jointId>": mass },                 (optional, defaults to shape areas)
+//     "SHAPES": { "<jointId>": { "type": "<shape type>", ...shape parameters } },
+//     "RENDER_ORDER": ["<jointId>", ...],              back to front
+//     "POSES": { "<poseName>": { "<jointId>": degrees } },
+//     "initialRotations": { "<jointId>": degrees }     (optional, defaults to POSES.default)
+//   }
+//
+// Exactly one joint has a null parent (the root). HIERARCHY is derived on import.
+
+const RIG_FORMAT = 'bitruvius-rig';
+const RIG_FORMAT_VERSION = 1;
+
+const SHAPE_TYPES = [
+    'none', 'torso', 'waist', 'collar', 'neck', 'customTorsoHead', 'arm', 'hand', 'leg', 'foot'
+];
+
+// Numeric parameters SkeletonRenderer needs to draw each parametric shape type
+const SHAPE_PARAMS = {
+    arm: ['len', 'rPivot', 'rTip', 'dir'],
+    hand: ['r', 'rt', 'dir'],
+    leg: ['len', 'rTop', 'rBot'],
+    foot: ['len', 'r']
+};
+
+class RigIO {
+    // Serializable rig object for the given skeleton data
+    static exportRig(data, name = 'Untitled Rig') {
+        const rig = {
+            format: RIG_FORMAT,
+            version: RIG_FORMAT_VERSION,
+            name,
+            JOINT_DEFS: data.JOINT_DEFS,
+            IK_CHAINS: data.IK_CHAINS,
+            CHAIN_LABELS: data.CHAIN_LABELS || {},
+            PRIORITY_ORDER: data.PRIORITY_ORDER || [],
+            AIM_CONSTRAINTS: data.AIM_CONSTRAINTS || {},
+            MIRROR_MAP: data.MIRROR_MAP || {},
+            JOINT_LIMITS: data.JOINT_LIMITS,
+            MASSES: data.MASSES || {},
+            SHAPES: data.SHAPES,
+            RENDER_ORDER: data.RENDER_ORDER,
+            POSES: data.POSES,
+            initialRotations: data.initialRotations
+        };
+        return JSON.parse(JSON.stringify(rig));
+    }
+
+    // Parse and validate a rig; `data` is ready for AdvancedIKSolver/SkeletonRenderer
+    // when `errors` is empty
+    static importRig(source) {
+        let rig;
+        try {
+            rig = typeof source === 'string' ? JSON.parse(source) : JSON.parse(JSON.stringify(source));
+        } catch (error) {
+            return { data: null, errors: [`Invalid JSON: ${error.message}`], warnings: [] };
+        }
+
+        const { errors, warnings } = RigIO.validateRig(rig);
+        if (errors.length > 0) return { data: null, errors, warnings };
+
+        return { data: RigIO.normalizeRig(rig), errors, warnings };
+    }
+
+    static validateRig(rig) {
+        const errors = [];
+        const warnings = [];
+        const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+        if (!isObject(rig)) {
+            return { valid: false, errors: ['Rig must be a JSON object'], warnings };
+        }
+        if (rig.format !== undefined && rig.format !== RIG_FORMAT) {
+            errors.push(`Unknown format "${rig.format}" (expected "${RIG_FORMAT}")`);
+        }
+        if (rig.version !== undefined && rig.version > RIG_FORMAT_VERSION) {
+            errors.push(`Rig version ${rig.version} is newer than supported version ${RIG_FORMAT_VERSION}`);
+        }
+
+        ['JOINT_DEFS', 'IK_CHAINS', 'JOINT_LIMITS', 'SHAPES', 'POSES'].forEach(key => {
+            if (!isObject(rig[key])) errors.push(`${key} must be an object`);
+        });
+        if (!Array.isArray(rig.RENDER_ORDER)) errors.push('RENDER_ORDER must be an array');
+        if (errors.length > 0) return { valid: false, errors, warnings };
+
+        const joints = rig.JOINT_DEFS;
+        const hasJoint = id => Object.prototype.hasOwnProperty.call(joints, id);
+
+        // Joints: pivots, parents, a single root, no cycles
+        const roots = [];
+        Object.entries(joints).forEach(([id, def]) => {
+            if (!isObject(def)) {
+                errors.push(`Joint "${id}" must be an object`);
+                return;
+            }
+            if (!Array.isArray(def.pivot) || def.pivot.length !== 2 || !def.pivot.every(isNumber)) {
+                errors.push(`Joint "${id}" needs a numeric pivot [x, y]`);
+            }
+            if (def.parent === null || def.parent === undefined) {
+                roots.push(id);
+            } else if (!hasJoint(def.parent)) {
+                errors.push(`Joint "${id}" has missing parent "${def.parent}"`);
+            }
+        });
+        if (roots.length === 0) errors.push('No root joint (a joint with a null parent)');
+        if (roots.length > 1) errors.push(`Multiple root joints: ${roots.join(', ')}`);
+
+        const reported = new Set();
+        Object.keys(joints).forEach(id => {
+            const path = [];
+            for (let cur = id; cur && hasJoint(cur); cur = joints[cur]?.parent) {
+                const index = path.indexOf(cur);
+                if (index > -1) {
+                    const cycle = path.slice(index);
+                    if (!cycle.some(j => reported.has(j))) {
+                        errors.push(`Parent cycle through joints: ${[...cycle, cur].join(' -> ')}`);
+                        cycle.forEach(j => reported.add(j));
+                    }
+                    break;
+                }
+                path.push(cur);
+            }
+        });
+
+        // Shapes
+        Object.entries(rig.SHAPES).forEach(([id, shape]) => {
+            if (!isObject(shape) || !SHAPE_TYPES.includes(shape.type)) {
+                errors.push(`Shape "${id}" has unknown type "${shape?.type}"`);
+                return;
+            }
+            const missing = (SHAPE_PARAMS[shape.type] || []).filter(key => !isNumber(shape[key]));
+            if (missing.length > 0) {
+                errors.push(`Shape "${id}" (${shape.type}) needs numeric ${missing.join(', ')}`);
+            } else if (!hasJoint(id)) {
+                warnings.push(`Shape "${id}" is not attached to a joint and will not be drawn`);
+            }
+        });
+
+        // Limits
+        Object.entries(rig.JOINT_LIMITS).forEach(([id, lim]) => {
+            if (!hasJoint(id)) {
+                errors.push(`Limit on nonexistent joint "${id}"`);
+            } else if (!isObject(lim) || !isNumber(lim.min) || !isNumber(lim.max)) {
+                errors.push(`Limit on "${id}" needs numeric min and max`);
+            } else if (lim.min > lim.max) {
+                errors.push(`Limit on "${id}" has min greater than max`);
+            }
+        });
+
+        // Masses
+        if (rig.MASSES !== undefined && !isObject(rig.MASSES)) errors.push('MASSES must be an object');
+        Object.entries(isObject(rig.MASSES) ? rig.MASSES : {}).forEach(([id, mass]) => {
+            if (!hasJoint(id)) errors.push(`Mass on nonexistent joint "${id}"`);
+            else if (!isNumber(mass) || mass < 0) errors.push(`Mass on "${id}" must be a non-negative number`);
+        });
+
+        // IK chains: contiguous parent paths ending at the effector
+        Object.entries(rig.IK_CHAINS).forEach(([chainId, chain]) => {
+            if (!isObject(chain) || !Array.isArray(chain.joints) || chain.joints.length < 2) {
+                errors.push(`Chain "${chainId}" needs at least two joints`);
+                return;
+            }
+            const missing = chain.joints.filter(id => !hasJoint(id));
+            if (missing.length > 0) {
+                errors.push(`Chain "${chainId}" references nonexistent joints: ${missing.join(', ')}`);
+                return;
+            }
+            // Malformed joint defs were reported above
+            if (!chain.joints.every(id => isObject(joints[id]))) return;
+            for (let i = 1; i < chain.joints.length; i++) {
+                if (joints[chain.joints[i]].parent !== chain.joints[i - 1]) {
+                    errors.push(`Chain "${chainId}" is not a contiguous parent path at "${chain.joints[i - 1]}" -> "${chain.joints[i]}"`);
+                    break;
+                }
+            }
+            if (chain.effector !== chain.joints[chain.joints.length - 1]) {
+                errors.push(`Chain "${chainId}" effector "${chain.effector}" must be its last joint`);
+            }
+            if (chain.pole !== undefined && !isObject(chain.pole)) {
+                errors.push(`Chain "${chainId}" pole must be an object`);
+            }
+        });
+
+        // Aim constraints: each listed joint is the aim joint or one of its ancestors
+        if (rig.AIM_CONSTRAINTS !== undefined && !isObject(rig.AIM_CONSTRAINTS)) {
+            errors.push('AIM_CONSTRAINTS must be an object');
+        }
+        Object.entries(isObject(rig.AIM_CONSTRAINTS) ? rig.AIM_CONSTRAINTS : {}).forEach(([aimId, aim]) => {
+            if (!isObject(aim) || !Array.isArray(aim.joints) || aim.joints.length === 0) {
+                errors.push(`Aim constraint "${aimId}" needs at least one joint`);
+                return;
+            }
+            const missing = aim.joints.filter(id => !hasJoint(id));
+            if (missing.length > 0) {
+                errors.push(`Aim constraint "${aimId}" references nonexistent joints: ${missing.join(', ')}`);
+                return;
+            }
+            const aimJoint = aim.joints[aim.joints.length - 1];
+            const ancestors = new Set();
+            for (let cur = aimJoint; cur && hasJoint(cur) && !ancestors.has(cur); cur = joints[cur]?.parent) ancestors.add(cur);
+            aim.joints.forEach(id => {
+                if (!ancestors.has(id)) errors.push(`Aim constraint "${aimId}" joint "${id}" is not an ancestor of "${aimJoint}"`);
+            });
+            if (aim.weights !== undefined && (!Array.isArray(aim.weights) || aim.weights.length !== aim.joints.length ||
+                !aim.weights.every(w => isNumber(w) && w >= 0))) {
+                errors.push(`Aim constraint "${aimId}" needs one non-negative weight per joint`);
+            }
+            if (!Array.isArray(aim.axis) || aim.axis.length !== 2 || !aim.axis.every(isNumber) ||
+                (aim.axis[0] === 0 && aim.axis[1] === 0)) {
+                errors.push(`Aim constraint "${aimId}" needs a non-zero axis [x, y]`);
+            }
+        });
+
+        // Mirror map: distinct joint pairs, each joint on at most one side
+        if (rig.MIRROR_MAP !== undefined && !isObject(rig.MIRROR_MAP)) errors.push('MIRROR_MAP must be an object');
+        const mirrored = new Set();
+        Object.entries(isObject(rig.MIRROR_MAP) ? rig.MIRROR_MAP : {}).forEach(([left, right]) => {
+            if (!hasJoint(left) || !hasJoint(right)) {
+                errors.push(`Mirror pair "${left}" -> "${right}" references a nonexistent joint`);
+            } else if (left === right) {
+                errors.push(`Mirror pair maps "${left}" onto itself`);
+            } else if (mirrored.has(left) || mirrored.has(right)) {
+                errors.push(`Mirror pair "${left}" -> "${right}" reuses a mirrored joint`);
+            }
+            mirrored.add(left);
+            mirrored.add(right);
+        });
+
+        if (rig.PRIORITY_ORDER !== undefined && !Array.isArray(rig.PRIORITY_ORDER)) errors.push('PRIORITY_ORDER must be an array');
+        (Array.isArray(rig.PRIORITY_ORDER) ? rig.PRIORITY_ORDER : []).forEach(chainId => {
+            if (!rig.IK_CHAINS[chainId]) errors.push(`PRIORITY_ORDER references unknown chain "${chainId}"`);
+        });
+
+        rig.RENDER_ORDER.forEach(id => {
+            if (!hasJoint(id)) errors.push(`RENDER_ORDER references nonexistent joint "${id}"`);
+        });
+
+        // Poses
+        const checkPose = (label, pose) => {
+            if (!isObject(pose)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            Object.entries(pose).forEach(([id, value]) => {
+                if (!isNumber(value)) errors.push(`${label} has non-numeric rotation for "${id}"`);
+                else if (!hasJoint(id)) warnings.push(`${label} rotates unknown joint "${id}"`);
+            });
+        };
+        Object.entries(rig.POSES).forEach(([name, pose]) => checkPose(`Pose "${name}"`, pose));
+        if (rig.initialRotations !== undefined) checkPose('initialRotations', rig.initialRotations);
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    // Fill optional sections and derive HIERARCHY
+    static normalizeRig(rig) {
+        const data = {
+            JOINT_DEFS: rig.JOINT_DEFS,
+            IK_CHAINS: rig.IK_CHAINS,
+            CHAIN_LABELS: rig.CHAIN_LABELS || {},
+            PRIORITY_ORDER: rig.PRIORITY_ORDER || Object.keys(rig.IK_CHAINS),
+            AIM_CONSTRAINTS: rig.AIM_CONSTRAINTS || {},
+            MIRROR_MAP: rig.MIRROR_MAP || {},
+            JOINT_LIMITS: rig.JOINT_LIMITS,
+            MASSES: rig.MASSES || {},
+            POSES: rig.POSES,
+            SHAPES: rig.SHAPES,
+            RENDER_ORDER: rig.RENDER_ORDER,
+            HIERARCHY: RigIO.buildHierarchy(rig.JOINT_DEFS)
+        };
+
+        if (rig.initialRotations) {
+            data.initialRotations = rig.initialRotations;
+        } else if (rig.POSES.default) {
+            data.initialRotations = { ...rig.POSES.default };
+        } else {
+            data.initialRotations = {};
+            Object.entries(rig.JOINT_DEFS).forEach(([id, def]) => {
+                if (def.parent) data.initialRotations[id] = 0;
+            });
+        }
+
+        return data;
+    }
+
+    // [[jointId, depth], ...] with every parent listed before its children
+    static buildHierarchy(jointDefs) {
+        const children = {};
+        const roots = [];
+        Object.entries(jointDefs).forEach(([id, def]) => {
+            if (def.parent) (children[def.parent] = children[def.parent] || []).push(id);
+            else roots.push(id);
+        });
+
+        const hierarchy = [];
+        const queue = roots.map(id => [id, 0]);
+        while (queue.length > 0) {
+            const [id, depth] = queue.shift();
+            hierarchy.push([id, depth]);
+            (children[id] || []).forEach(child => queue.push([child, depth + 1]));
+        }
+        return hierarchy;
+    }
+}
+
+export { RigIO, RIG_FORMAT, RIG_FORMAT_VERSION, SHAPE_TYPES };
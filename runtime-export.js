@@ -0,0 +1,302 @@
+// Spine / DragonBones Runtime Export
+//
+// Bones follow JOINT_DEFS. Each bone is turned to point at its first child (the
+// "aim offset") and takes that child's pivot distance as its length; children and
+// attachments are counter-rotated by the offset, so the exported pose matches the canvas.
+// Shapes become placeholder attachments named after their joint.
+
+const SPINE_VERSION = '3.8.99';
+const DRAGONBONES_VERSION = '5.5';
+
+// Timeline easing -> cubic bezier control points [cx1, cy1, cx2, cy2]
+const EASING_CURVES = {
+    easeIn: [1 / 3, 0, 2 / 3, 1 / 3],
+    easeOut: [1 / 3, 2 / 3, 2 / 3, 1],
+    easeInOut: [0.42, 0, 0.58, 1]
+};
+
+class RuntimeExporter {
+    constructor(bitruviusData) {
+        this.data = bitruviusData;
+    }
+
+    d2r(d) { return d * Math.PI / 180; }
+    r2d(r) { return r * 180 / Math.PI; }
+    normA(a) { return ((a % 360) + 540) % 360 - 180; }
+    round(v) { return Math.round(v * 1000) / 1000; }
+
+    // Canvas-space (y-down) bone list in parent-first order:
+    // { id, parent, x, y, rotation, length, aimOffset }
+    buildBones(setupRotations = this.data.initialRotations) {
+        const defs = this.data.JOINT_DEFS;
+        const aimOffsets = {};
+        const lengths = {};
+
+        Object.entries(defs).forEach(([id, def]) => {
+            const parentId = def.parent;
+            // The root bone is never aimed; it only carries the root rotation channel
+            if (!parentId || !defs[parentId].parent || parentId in aimOffsets) return;
+            const [px, py] = def.pivot;
+            if (px === 0 && py === 0) return;
+            aimOffsets[parentId] = this.r2d(Math.atan2(py, px));
+            lengths[parentId] = Math.hypot(px, py);
+        });
+
+        return this.data.HIERARCHY.map(([id]) => {
+            const parentId = defs[id].parent;
+            const aimOffset = aimOffsets[id] || 0;
+            if (!parentId) {
+                return { id, parent: null, x: 0, y: 0, rotation: this.normA(setupRotations[id] || 0), length: 0, aimOffset: 0 };
+            }
+
+            // Pivot expressed in the parent's aimed frame
+            const parentOffset = this.d2r(aimOffsets[parentId] || 0);
+            const [px, py] = defs[id].pivot;
+            const c = Math.cos(-parentOffset), s = Math.sin(-parentOffset);
+
+            return {
+                id,
+                parent: parentId,
+                x: px * c - py * s,
+                y: px * s + py * c,
+                rotation: this.normA((setupRotations[id] || 0) + aimOffset - (aimOffsets[parentId] || 0)),
+                length: lengths[id] || 0,
+                aimOffset
+            };
+        });
+    }
+
+    // Placeholder attachments in each bone's aimed frame (y-down):
+    // { id, x, y, rotation, width, height }, back to front
+    buildAttachments(bones) {
+        const byId = {};
+        bones.forEach(bone => byId[bone.id] = bone);
+
+        return this.data.RENDER_ORDER
+            .filter(id => byId[id] && this.data.SHAPES[id])
+            .map(id => {
+                const bounds = RuntimeExporter.shapeBounds(this.data.SHAPES[id]);
+                if (!bounds) return null;
+
+                const offset = this.d2r(-byId[id].aimOffset);
+                const cx = (bounds.minX + bounds.maxX) / 2;
+                const cy = (bounds.minY + bounds.maxY) / 2;
+                const c = Math.cos(offset), s = Math.sin(offset);
+
+                return {
+                    id,
+                    x: cx * c - cy * s,
+                    y: cx * s + cy * c,
+                    rotation: -byId[id].aimOffset,
+                    width: bounds.maxX - bounds.minX,
+                    height: bounds.maxY - bounds.minY
+                };
+            })
+            .filter(Boolean);
+    }
+
+    // Per-bone rotation keys relative to the setup pose:
+    // { boneId: [{ time, angle, easing }] }, skipping bones that never move
+    buildRotationKeys(keyframes, setupRotations = this.data.initialRotations) {
+        const tracks = {};
+
+        this.data.HIERARCHY.forEach(([id]) => {
+            const setup = setupRotations[id] || 0;
+            const keys = keyframes.map(k => ({
+                time: k.time,
+                angle: this.normA((k.rotations[id] ?? setup) - setup),
+                easing: k.easing || 'linear'
+            }));
+            if (keys.some(k => Math.abs(k.angle) > 1e-6)) tracks[id] = keys;
+        });
+
+        return tracks;
+    }
+
+    // Spine 3.8 JSON (y-up, counter-clockwise degrees)
+    toSpine(options = {}) {
+        const { keyframes = [], animationName = 'animation', setupRotations = this.data.initialRotations } = options;
+        const bones = this.buildBones(setupRotations);
+        const attachments = this.buildAttachments(bones);
+
+        const spineBones = bones.map(bone => {
+            const out = { name: bone.id };
+            if (bone.parent) {
+                out.parent = bone.parent;
+                if (bone.length) out.length = this.round(bone.length);
+                out.rotation = this.round(-bone.rotation);
+                out.x = this.round(bone.x);
+                out.y = this.round(-bone.y);
+            } else if (bone.rotation) {
+                out.rotation = this.round(-bone.rotation);
+            }
+            return out;
+        });
+
+        const skinAttachments = {};
+        attachments.forEach(a => {
+            skinAttachments[a.id] = {
+                [a.id]: {
+                    x: this.round(a.x),
+                    y: this.round(-a.y),
+                    rotation: this.round(-a.rotation),
+                    width: this.round(a.width),
+                    height: this.round(a.height)
+                }
+            };
+        });
+
+        const spine = {
+            skeleton: { hash: '', spine: SPINE_VERSION, images: './images/', audio: '' },
+            bones: spineBones,
+            slots: attachments.map(a => ({ name: a.id, bone: a.id, attachment: a.id })),
+            skins: [{ name: 'default', attachments: skinAttachments }]
+        };
+
+        const tracks = this.buildRotationKeys(keyframes, setupRotations);
+        if (Object.keys(tracks).length > 0) {
+            const animationBones = {};
+            Object.entries(tracks).forEach(([id, keys]) => {
+                animationBones[id] = {
+                    rotate: keys.map(k => {
+                        const key = { time: this.round(k.time), angle: this.round(-k.angle) };
+                        if (k.easing === 'step') {
+                            key.curve = 'stepped';
+                        } else if (EASING_CURVES[k.easing]) {
+                            const [c1, c2, c3, c4] = EASING_CURVES[k.easing];
+                            Object.assign(key, { curve: this.round(c1), c2: this.round(c2), c3: this.round(c3), c4: this.round(c4) });
+                        }
+                        return key;
+                    })
+                };
+            });
+            spine.animations = { [animationName]: { bones: animationBones } };
+        }
+
+        return spine;
+    }
+
+    // DragonBones 5.5 JSON (y-down like the canvas, clockwise degrees, frame-based time)
+    toDragonBones(options = {}) {
+        const {
+            keyframes = [],
+            duration = 0,
+            animationName = 'animation',
+            name = 'rig',
+            frameRate = 24,
+            setupRotations = this.data.initialRotations
+        } = options;
+        const bones = this.buildBones(setupRotations);
+        const attachments = this.buildAttachments(bones);
+        const transform = (x, y, rotation) => ({
+            x: this.round(x),
+            y: this.round(y),
+            skX: this.round(rotation),
+            skY: this.round(rotation)
+        });
+
+        const armature = {
+            type: 'Armature',
+            frameRate,
+            name,
+            bone: bones.map(bone => {
+                const out = { name: bone.id };
+                if (bone.parent) {
+                    out.parent = bone.parent;
+                    if (bone.length) out.length = this.round(bone.length);
+                    out.transform = transform(bone.x, bone.y, bone.rotation);
+                } else if (bone.rotation) {
+                    out.transform = transform(0, 0, bone.rotation);
+                }
+                return out;
+            }),
+            slot: attachments.map(a => ({ name: a.id, parent: a.id })),
+            skin: [{
+                name: '',
+                slot: attachments.map(a => ({
+                    name: a.id,
+                    display: [{ type: 'image', name: a.id, transform: transform(a.x, a.y, a.rotation) }]
+                }))
+            }],
+            animation: []
+        };
+
+        const tracks = this.buildRotationKeys(keyframes, setupRotations);
+        if (Object.keys(tracks).length > 0) {
+            const totalFrames = Math.max(1, Math.round(duration * frameRate));
+            armature.animation.push({
+                name: animationName,
+                duration: totalFrames,
+                playTimes: 0,
+                bone: Object.entries(tracks).map(([id, keys]) => ({
+                    name: id,
+                    rotateFrame: this.toFrames(keys, frameRate, totalFrames)
+                }))
+            });
+            armature.defaultActions = [{ gotoAndPlay: animationName }];
+        }
+
+        return {
+            frameRate,
+            name,
+            version: DRAGONBONES_VERSION,
+            compatibleVersion: DRAGONBONES_VERSION,
+            armature: [armature]
+        };
+    }
+
+    // Quantize keys to whole frames; each frame lasts until the next key
+    toFrames(keys, frameRate, totalFrames) {
+        const byFrame = new Map();
+        keys.forEach(k => byFrame.set(Math.min(totalFrames, Math.round(k.time * frameRate)), k));
+        const frames = [...byFrame.entries()].sort((a, b) => a[0] - b[0]);
+
+        // DragonBones tracks start at frame 0
+        if (frames[0][0] > 0) frames.unshift([0, frames[0][1]]);
+
+        return frames.map(([frame, k], i) => {
+            const next = i + 1 < frames.length ? frames[i + 1][0] : totalFrames;
+            const out = {
+                duration: next - frame,
+                tweenEasing: k.easing === 'step' ? null : 0,
+                rotate: this.round(k.angle)
+            };
+            if (EASING_CURVES[k.easing]) out.curve = EASING_CURVES[k.easing].map(v => this.round(v));
+            return out;
+        });
+    }
+
+    // Local (y-down) bounds of a shape as drawn by SkeletonRenderer.traceShape
+    static shapeBounds(shape) {
+        const span = (a, b) => [Math.min(a, b), Math.max(a, b)];
+
+        switch (shape.type) {
+            case 'torso':
+                return { minX: -44, maxX: 44, minY: -32, maxY: 58 };
+            case 'customTorsoHead':
+                return { minX: -26.4, maxX: 26.4, minY: -44, maxY: 10 };
+            case 'waist':
+                return { minX: -20, maxX: 20, minY: -20, maxY: 20 };
+            case 'collar':
+                return { minX: -46, maxX: 46, minY: -13, maxY: 13 };
+            case 'neck':
+                return { minX: -7, maxX: 7, minY: -24, maxY: 0 };
+            case 'arm': {
+                const [minX, maxX] = span(0, (shape.dir || 1) * shape.len);
+                return { minX, maxX, minY: -shape.rPivot, maxY: shape.rPivot };
+            }
+            case 'hand': {
+                const [minX, maxX] = span(0, (shape.dir || 1) * 22);
+                return { minX, maxX, minY: -shape.r, maxY: shape.r };
+            }
+            case 'leg':
+                return { minX: -shape.rTop, maxX: shape.rTop, minY: 0, maxY: shape.len };
+            case 'foot':
+                return { minX: -shape.r, maxX: shape.r, minY: 0, maxY: shape.len };
+            default:
+                return null;
+        }
+    }
+}
+
+export { RuntimeExporter, SPINE_VERSION, DRAGONBONES_VERSION };
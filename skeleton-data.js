@@ -27,34 +27,40 @@ export const BITRUVIUS_DATA = {
   },
 
   // IK chain definitions
+  // pole: bend direction for the middle joint(s). { side: 1 | -1 } is the sign of
+  // cross(effector - base, middle - base); adding { x, y } aims at a world point instead.
   IK_CHAINS: {
     "l_arm_chain": { 
       joints: ["l_shoulder", "l_elbow", "l_wrist"], 
       effector: "l_wrist", 
       priority: 1, 
       stretchRatio: 1.1, 
-      curveStrength: 0.5 
+      curveStrength: 0.5,
+      pole: { side: -1 }
     },
     "r_arm_chain": { 
       joints: ["r_shoulder", "r_elbow", "r_wrist"], 
       effector: "r_wrist", 
       priority: 1, 
       stretchRatio: 1.1, 
-      curveStrength: 0.5 
+      curveStrength: 0.5,
+      pole: { side: -1 }
     },
     "l_leg_chain": { 
       joints: ["l_hip", "l_knee", "l_ankle"], 
       effector: "l_ankle", 
       priority: 2, 
       stretchRatio: 1.05, 
-      curveStrength: 0.3 
+      curveStrength: 0.3,
+      pole: { side: -1 }
     },
     "r_leg_chain": { 
       joints: ["r_hip", "r_knee", "r_ankle"], 
       effector: "r_ankle", 
       priority: 2, 
       stretchRatio: 1.05, 
-      curveStrength: 0.3 
+      curveStrength: 0.3,
+      pole: { side: -1 }
     }
   },
 
@@ -69,6 +75,29 @@ export const BITRUVIUS_DATA = {
   // Priority order for IK solving
   PRIORITY_ORDER: ["l_arm_chain", "r_arm_chain", "l_leg_chain", "r_leg_chain"],
 
+  // Aim (look-at) constraints: turn the last of `joints` so its local `axis` points at a
+  // target. The turn is shared by `joints` (ancestors first) in proportion to `weights`.
+  AIM_CONSTRAINTS: {
+    "head_aim": {
+      joints: ["neck", "head"],
+      weights: [0.4, 0.6],
+      axis: [0, -1],
+      label: "Head Look-At"
+    }
+  },
+
+  // Left -> right counterparts for the mirror tools; unlisted joints mirror onto themselves
+  MIRROR_MAP: {
+    "l_collar": "r_collar",
+    "l_shoulder": "r_shoulder",
+    "l_elbow": "r_elbow",
+    "l_wrist": "r_wrist",
+    "l_hip": "r_hip",
+    "l_knee": "r_knee",
+    "l_ankle": "r_ankle",
+    "l_toe": "r_toe"
+  },
+
   // Joint limits
   JOINT_LIMITS: {
     "neck": { min: -45, max: 45 },
@@ -116,7 +145,6 @@ export const BITRUVIUS_DATA = {
   SHAPES: {
     "torso": { type: "torso" },
     "waist": { type: "waist" },
-    "collar": { type: "collar" },
     "neck": { type: "neck" },
     "head": { type: "customTorsoHead" },
     "l_shoulder": { type: "arm", len: 30, rPivot: 8, rTip: 6, dir: -1 },
@@ -0,0 +1,217 @@
+// Direct mouse manipulation for the Bitruvius skeleton
+class SkeletonInputHandler {
+    constructor(canvas, skeletonRenderer, ikSolver, history = null) {
+        this.canvas = canvas;
+        this.skeletonRenderer = skeletonRenderer;
+        this.ikSolver = ikSolver;
+        this.history = history;
+
+        // Mouse state
+        this.mousePos = { x: 0, y: 0 };
+
+        // Active drag: { type: 'fk', jointId, startPointerAngle, startRotation }
+        //           or { type: 'ik' | 'pole', chainId }
+        //           or { type: 'root', jointId, startPointer, startOffset }
+        //           or { type: 'aim', aimId }
+        this.drag = null;
+
+        // Latest pose and mode seen by update(), used for hit testing
+        this.rotations = {};
+        this.interactionMode = "FK";
+
+        // Last joint picked on the skeleton, for frame-selection
+        this.selectedJoint = null;
+
+        this.setupEventListeners();
+    }
+
+    // Follows rig swaps on the renderer
+    get data() {
+        return this.skeletonRenderer.data;
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        window.addEventListener('blur', this.handleMouseUp.bind(this));
+    }
+
+    handleMouseDown(event) {
+        if (event.button !== 0) return;
+
+        const mousePos = this.getMousePosition(event);
+        
+        // Opened before hitTest, which may already snap an IK target; one drag is one undo step
+        this.history?.begin('Pose skeleton');
+        const drag = this.hitTest(mousePos);
+        if (!drag) {
+            this.history?.cancel();
+            this.selectedJoint = null;
+            return;
+        }
+        this.selectedJoint = drag.jointId || this.data.IK_CHAINS[drag.chainId]?.effector || null;
+
+        // The skeleton owns this gesture; keep the JointChain handler out of it
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        this.mousePos = mousePos;
+        this.drag = drag;
+    }
+
+    handleMouseMove(event) {
+        this.mousePos = this.getMousePosition(event);
+        if (this.drag) event.stopImmediatePropagation();
+    }
+
+    handleMouseUp() {
+        if (this.drag) this.history?.commit();
+        this.drag = null;
+    }
+
+    hitTest(mousePos) {
+        const { x, y } = mousePos;
+        const renderer = this.skeletonRenderer;
+
+        // Aim targets apply in both modes
+        const aimId = renderer.getAimTargetAtPosition(x, y);
+        if (aimId) return { type: 'aim', aimId };
+
+        if (this.interactionMode === "IK") {
+            // Existing IK target crosshairs
+            const targetChain = renderer.getIKTargetAtPosition(x, y);
+            if (targetChain && renderer.activeIKChains[targetChain]) {
+                return { type: 'ik', chainId: targetChain };
+            }
+
+            const poleChain = renderer.getPoleAtPosition(x, y, this.rotations);
+            if (poleChain && renderer.activeIKChains[poleChain]) {
+                return { type: 'pole', chainId: poleChain };
+            }
+        }
+
+        const jointId = renderer.getJointAtPosition(x, y, this.rotations);
+        if (jointId) {
+            if (this.interactionMode === "IK") {
+                const chainId = this.getChainForEffector(jointId);
+                if (chainId) {
+                    const world = renderer.computeWorld(jointId, this.rotations, renderer.getCenter());
+                    renderer.setIKTarget(chainId, world.x, world.y);
+                    return { type: 'ik', chainId };
+                }
+            }
+
+            // Dragging a joint dot swings the bone that ends at it (the root's own bones
+            // turn the whole body); the root dot itself moves the body
+            const parentId = this.data.JOINT_DEFS[jointId].parent;
+            if (parentId) {
+                return this.startFKDrag(parentId, mousePos);
+            }
+            return {
+                type: 'root',
+                jointId,
+                startPointer: { ...mousePos },
+                startOffset: { ...renderer.rootOffset }
+            };
+        }
+
+        const shapeId = renderer.getShapeAtPosition(x, y, this.rotations);
+        if (shapeId && this.data.JOINT_DEFS[shapeId]) {
+            return this.startFKDrag(shapeId, mousePos);
+        }
+
+        return null;
+    }
+
+    startFKDrag(jointId, mousePos) {
+        const pivot = this.skeletonRenderer.computeWorld(jointId, this.rotations, this.skeletonRenderer.getCenter());
+        return {
+            type: 'fk',
+            jointId,
+            startPointerAngle: Math.atan2(mousePos.y - pivot.y, mousePos.x - pivot.x),
+            startRotation: this.rotations[jointId] || 0
+        };
+    }
+
+    getChainForEffector(jointId) {
+        const chains = this.data.IK_CHAINS;
+        return Object.keys(chains).find(chainId =>
+            chains[chainId].effector === jointId && this.skeletonRenderer.activeIKChains[chainId]
+        ) || null;
+    }
+
+    // Apply the current drag to the pose; called once per frame
+    update(rotations, interactionMode) {
+        this.rotations = rotations;
+        this.interactionMode = interactionMode;
+
+        if (!this.drag) return rotations;
+
+        if (this.drag.type === 'fk') {
+            return this.applyFKDrag(rotations);
+        }
+
+        if (this.drag.type === 'aim') {
+            this.skeletonRenderer.setAimTarget(this.drag.aimId, this.mousePos.x, this.mousePos.y);
+            return rotations;
+        }
+
+        if (this.drag.type === 'root') {
+            const { startPointer, startOffset } = this.drag;
+            this.skeletonRenderer.setRootOffset(
+                startOffset.x + this.mousePos.x - startPointer.x,
+                startOffset.y + this.mousePos.y - startPointer.y
+            );
+            return rotations;
+        }
+
+        if (this.drag.type === 'ik' || this.drag.type === 'pole') {
+            if (interactionMode !== "IK" || !this.skeletonRenderer.activeIKChains[this.drag.chainId]) {
+                this.drag = null;
+                return rotations;
+            }
+            if (this.drag.type === 'pole') {
+                this.skeletonRenderer.setPoleTarget(this.drag.chainId, this.mousePos.x, this.mousePos.y);
+                return rotations;
+            }
+            return this.applyIKDrag(rotations);
+        }
+
+        return rotations;
+    }
+
+    applyFKDrag(rotations) {
+        const { jointId, startPointerAngle, startRotation } = this.drag;
+        const renderer = this.skeletonRenderer;
+        const pivot = renderer.computeWorld(jointId, rotations, renderer.getCenter());
+        const pointerAngle = Math.atan2(this.mousePos.y - pivot.y, this.mousePos.x - pivot.x);
+
+        let rotation = renderer.normA(startRotation + renderer.r2d(pointerAngle - startPointerAngle));
+        const lim = this.data.JOINT_LIMITS[jointId];
+        if (lim) rotation = this.ikSolver.clamp(rotation, lim.min, lim.max);
+
+        this.rotations = { ...rotations, [jointId]: rotation };
+        return this.rotations;
+    }
+
+    // Moves the target only; the full-body solve in IKFKSystem picks it up
+    applyIKDrag(rotations) {
+        const { chainId } = this.drag;
+        const { x, y } = this.mousePos;
+        this.skeletonRenderer.setIKTarget(chainId, x, y);
+        return rotations;
+    }
+
+    // Pointer position in world space, through the renderer's camera
+    getMousePosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const world = this.skeletonRenderer.camera.screenToWorld({
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        });
+        return { x: world.x, y: world.y };
+    }
+}
+
+export { SkeletonInputHandler };
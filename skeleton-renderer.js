@@ -1,9 +1,14 @@
 // Advanced Skeleton Renderer incorporating canvas-grid.jsx visual system
+import { Kinematics } from './kinematics.js';
+import { Camera } from './camera.js';
+import { DebugDraw, DEBUG_COLORS } from './debug-draw.js';
+
 class SkeletonRenderer {
-    constructor(canvas, bitruviusData) {
+    constructor(canvas, bitruviusData, camera = new Camera()) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.data = bitruviusData;
+        this.camera = camera;
         
         // Visual settings
         this.UI_INSET = 12;
@@ -26,6 +31,32 @@ class SkeletonRenderer {
         this.isMenuOpen = true;
         this.activeIKChains = {};
         this.ikTargets = {};
+        this.ikResiduals = {};
+        this.ikTolerance = 1;
+        
+        // Per-chain bone stretch from the IK solve ({ chainId: factor })
+        this.stretch = {};
+        
+        // Root position channel: offset of the root from the workspace center
+        this.rootOffset = { x: 0, y: 0 };
+        
+        // Planted joints held at a world position ({ jointId: { x, y } })
+        this.pins = {};
+        this.PIN_COLOR = "#10b981";
+        
+        // Center of mass overlay: latest Balance.evaluate() result
+        this.showBalance = false;
+        this.balance = null;
+        this.BALANCED_COLOR = "#22c55e";
+        this.UNBALANCED_COLOR = "#ef4444";
+        
+        // Look-at targets of active aim constraints ({ aimId: { x, y } })
+        this.aimTargets = {};
+        this.AIM_COLOR = "#ec4899";
+        
+        // Solver debug overlay: per-chain diagnostics from AdvancedIKSolver
+        this.showDebug = false;
+        this.ikDiagnostics = {};
         
         this.initializeIKChains();
     }
@@ -36,6 +67,20 @@ class SkeletonRenderer {
         this.activeIKChains = initial;
     }
 
+    // Swap in a different rig; targets and residuals belong to the old chains
+    setData(bitruviusData) {
+        this.data = bitruviusData;
+        this.ikTargets = {};
+        this.ikResiduals = {};
+        this.ikDiagnostics = {};
+        this.stretch = {};
+        this.pins = {};
+        this.aimTargets = {};
+        this.balance = null;
+        this.rootOffset = { x: 0, y: 0 };
+        this.initializeIKChains();
+    }
+
     d2r(d) { return d * Math.PI / 180; }
     r2d(r) { return r * 180 / Math.PI; }
     normA(a) { return ((a % 360) + 540) % 360 - 180; }
@@ -49,24 +94,39 @@ class SkeletonRenderer {
         this.height = height;
     }
 
+    // Grid over the visible part of the world, anchored at the workspace origin
     drawGrid(size, color, lineWidth) {
+        const view = this.camera.getVisibleBounds(this.width, this.height);
+        const startX = Math.floor(view.minX / size) * size;
+        const startY = Math.floor(view.minY / size) * size;
         this.ctx.beginPath();
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = lineWidth;
-        for (let x = 0; x <= this.width; x += size) { 
-            this.ctx.moveTo(x, 0); 
-            this.ctx.lineTo(x, this.height); 
+        for (let x = startX; x <= view.maxX; x += size) { 
+            this.ctx.moveTo(x, view.minY); 
+            this.ctx.lineTo(x, view.maxY); 
         }
-        for (let y = 0; y <= this.height; y += size) { 
-            this.ctx.moveTo(0, y); 
-            this.ctx.lineTo(this.width, y); 
+        for (let y = startY; y <= view.maxY; y += size) { 
+            this.ctx.moveTo(view.minX, y); 
+            this.ctx.lineTo(view.maxX, y); 
         }
         this.ctx.stroke();
     }
 
     render(rotations, interactionMode = "FK") {
-        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
         
+        // Everything below is in world space; the workspace is the unpanned canvas rect
+        this.ctx.save();
+        this.camera.apply(this.ctx);
+        this.drawScene(rotations);
+        this.ctx.restore();
+    }
+
+    drawScene(rotations) {
         // Background Grids (Minor Green 8x8, Major Purple 64x64)
         this.drawGrid(this.minorGridSize, this.minorGridColor, this.minorGridWidth); 
         this.drawGrid(this.majorGridSize, this.majorGridColor, this.majorGridWidth);
@@ -79,7 +139,7 @@ class SkeletonRenderer {
         this.ctx.stroke();
 
         // Ground Line - Back out to border bottom
-        const groundY = this.height;
+        const groundY = this.getGroundY();
         this.ctx.beginPath();
         this.ctx.strokeStyle = "#4A90E2";
         this.ctx.lineWidth = 4;
@@ -101,7 +161,7 @@ class SkeletonRenderer {
         this.ctx.lineTo(this.width, (2 * this.height) / 3);
         this.ctx.stroke();
 
-        const center = [this.width / 2, this.height / 2];
+        const center = this.getCenter();
         const positions = {};
         
         // Calculate world positions
@@ -184,10 +244,83 @@ class SkeletonRenderer {
             }
         });
 
+        // Pins: a flat foot plate under each planted joint
+        Object.entries(this.pins).forEach(([jointId, pin]) => {
+            const pos = positions[jointId];
+            if (pos && Math.hypot(pos.x - pin.x, pos.y - pin.y) > 0.5) {
+                this.ctx.beginPath();
+                this.ctx.setLineDash([2, 2]);
+                this.ctx.strokeStyle = this.PIN_COLOR;
+                this.ctx.lineWidth = 1;
+                this.ctx.moveTo(pos.x, pos.y);
+                this.ctx.lineTo(pin.x, pin.y);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
+            }
+            this.ctx.beginPath();
+            this.ctx.moveTo(pin.x, pin.y);
+            this.ctx.lineTo(pin.x - 5, pin.y + 7);
+            this.ctx.lineTo(pin.x + 5, pin.y + 7);
+            this.ctx.closePath();
+            this.ctx.fillStyle = this.PIN_COLOR;
+            this.ctx.fill();
+            this.ctx.fillRect(pin.x - 8, pin.y + 7, 16, 2);
+        });
+
+        // Aim targets: a sight line from the aiming joint to an eye marker
+        Object.entries(this.aimTargets).forEach(([aimId, tgt]) => {
+            const joints = this.data.AIM_CONSTRAINTS?.[aimId]?.joints;
+            const pos = joints && positions[joints[joints.length - 1]];
+            if (pos) {
+                this.ctx.beginPath();
+                this.ctx.setLineDash([4, 3]);
+                this.ctx.strokeStyle = "rgba(236, 72, 153, 0.5)";
+                this.ctx.lineWidth = 1;
+                this.ctx.moveTo(pos.x, pos.y);
+                this.ctx.lineTo(tgt.x, tgt.y);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
+            }
+            this.ctx.beginPath();
+            this.ctx.ellipse(tgt.x, tgt.y, 8, 5, 0, 0, Math.PI * 2);
+            this.ctx.strokeStyle = this.AIM_COLOR;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.stroke();
+            this.ctx.beginPath();
+            this.ctx.arc(tgt.x, tgt.y, 2, 0, Math.PI * 2);
+            this.ctx.fillStyle = this.AIM_COLOR;
+            this.ctx.fill();
+        });
+
+        // Pole vectors (drawn before the crosshairs they belong to)
+        Object.keys(this.ikTargets).forEach(chainId => {
+            const pole = this.getPoleDisplayPosition(chainId, rotations);
+            if (!pole) return;
+            this.ctx.beginPath();
+            this.ctx.setLineDash([3, 3]);
+            this.ctx.strokeStyle = "rgba(56, 189, 248, 0.6)";
+            this.ctx.lineWidth = 1;
+            this.ctx.moveTo(pole.from.x, pole.from.y);
+            this.ctx.lineTo(pole.x, pole.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(pole.x, pole.y - 5);
+            this.ctx.lineTo(pole.x + 5, pole.y);
+            this.ctx.lineTo(pole.x, pole.y + 5);
+            this.ctx.lineTo(pole.x - 5, pole.y);
+            this.ctx.closePath();
+            this.ctx.strokeStyle = "#38bdf8";
+            this.ctx.fillStyle = pole.isPoint ? "#38bdf8" : "transparent";
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+
         // IK Targets
-        Object.entries(this.ikTargets).forEach(([, tgt]) => {
+        Object.entries(this.ikTargets).forEach(([chainId, tgt]) => {
+            const unsatisfied = this.ikResiduals[chainId] > this.ikTolerance;
             this.ctx.beginPath();
-            this.ctx.strokeStyle = "#ef4444"; 
+            this.ctx.strokeStyle = unsatisfied ? "#f59e0b" : "#ef4444"; 
             this.ctx.lineWidth = 1;
             this.ctx.moveTo(tgt.x - 10, tgt.y); 
             this.ctx.lineTo(tgt.x + 10, tgt.y);
@@ -198,6 +331,107 @@ class SkeletonRenderer {
             this.ctx.arc(tgt.x, tgt.y, 4, 0, Math.PI * 2); 
             this.ctx.stroke();
         });
+
+        if (this.showBalance && this.balance) this.drawBalance(this.balance);
+        if (this.showDebug) this.drawDebugOverlay(positions);
+    }
+
+    // Support polygon through the planted points and its span on the ground, then the
+    // center of mass with a plumb line down to its ground projection
+    drawBalance({ com, support, span, balanced }) {
+        const groundY = this.getGroundY();
+        const color = balanced ? this.BALANCED_COLOR : this.UNBALANCED_COLOR;
+
+        if (span) {
+            this.ctx.beginPath();
+            support.forEach((p, i) => i === 0 ? this.ctx.moveTo(p.x, p.y) : this.ctx.lineTo(p.x, p.y));
+            this.ctx.lineTo(span.maxX, groundY);
+            this.ctx.lineTo(span.minX, groundY);
+            this.ctx.closePath();
+            this.ctx.fillStyle = balanced ? "rgba(34, 197, 94, 0.15)" : "rgba(239, 68, 68, 0.15)";
+            this.ctx.fill();
+            this.ctx.beginPath();
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 3;
+            this.ctx.moveTo(span.minX, groundY);
+            this.ctx.lineTo(span.maxX, groundY);
+            this.ctx.stroke();
+        }
+        if (!com) return;
+
+        this.ctx.beginPath();
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.moveTo(com.x, com.y);
+        this.ctx.lineTo(com.x, groundY);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(com.x - 6, groundY);
+        this.ctx.lineTo(com.x + 6, groundY);
+        this.ctx.stroke();
+
+        // Quartered disc, the usual center of mass symbol
+        this.ctx.beginPath();
+        this.ctx.arc(com.x, com.y, 6, 0, Math.PI * 2);
+        this.ctx.fillStyle = "#ffffff";
+        this.ctx.fill();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+        this.ctx.fillStyle = color;
+        [0, Math.PI].forEach(start => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(com.x, com.y);
+            this.ctx.arc(com.x, com.y, 6, start, start + Math.PI / 2);
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+    }
+
+    // Intermediate solver point sets (older passes fainter), joints resting on a limit
+    // in the warning colour, and the residual vector from each effector to its target
+    drawDebugOverlay(positions) {
+        Object.entries(this.ikDiagnostics).forEach(([chainId, diag]) => {
+            const tgt = this.ikTargets[chainId];
+            if (!diag || !tgt) return;
+
+            this.ctx.strokeStyle = DEBUG_COLORS.pass;
+            this.ctx.fillStyle = DEBUG_COLORS.pass;
+            this.ctx.lineWidth = 1;
+            diag.passes.forEach((points, i) => {
+                this.ctx.globalAlpha = 0.1 + 0.5 * (i + 1) / diag.passes.length;
+                this.ctx.beginPath();
+                points.forEach((p, j) => j === 0 ? this.ctx.moveTo(p.x, p.y) : this.ctx.lineTo(p.x, p.y));
+                this.ctx.stroke();
+                points.forEach(p => this.ctx.fillRect(p.x - 1.5, p.y - 1.5, 3, 3));
+            });
+            this.ctx.globalAlpha = 1;
+
+            diag.limitedJoints.forEach(id => {
+                const pos = positions[id];
+                if (!pos) return;
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, 7, 0, Math.PI * 2);
+                this.ctx.strokeStyle = DEBUG_COLORS.warning;
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
+            });
+
+            const joints = this.data.IK_CHAINS[chainId]?.joints;
+            const effector = joints && positions[joints[joints.length - 1]];
+            if (!effector) return;
+            if (diag.residual > 0.01) DebugDraw.arrow(this.ctx, effector, tgt, DEBUG_COLORS.residual);
+
+            const flags = [`${diag.residual.toFixed(1)}px`, `${diag.iterations} it`];
+            if (diag.softReach) flags.push('soft');
+            if (diag.stretched) flags.push('stretch');
+            this.ctx.fillStyle = diag.converged ? DEBUG_COLORS.pass : DEBUG_COLORS.warning;
+            this.ctx.font = "8px monospace";
+            this.ctx.textAlign = "left";
+            this.ctx.fillText(flags.join(' '), tgt.x + 8, tgt.y - 8);
+        });
     }
 
     drawShapes(positions, rotations, center, isShadow) {
@@ -218,27 +452,67 @@ class SkeletonRenderer {
             }
             this.ctx.rotate(this.d2r(t.angle));
             this.ctx.beginPath();
-            
-            if (shape.type === "torso") this.torsoHeart(this.ctx);
-            else if (shape.type === "waist") this.waistCircle(this.ctx);
-            else if (shape.type === "collar") this.collarShape(this.ctx);
-            else if (shape.type === "neck") this.neckShape(this.ctx);
-            else if (shape.type === "customTorsoHead") { 
-                this.ctx.translate(0, -24.8); 
-                this.ctx.scale(0.6, 0.6); 
-                this.torsoHeart(this.ctx); 
-            }
-            else if (shape.type === "arm") this.armBlade(this.ctx, shape.len, shape.rPivot, shape.rTip, shape.dir);
-            else if (shape.type === "hand") this.handShape(this.ctx, shape.r, shape.rt, shape.dir);
-            else if (shape.type === "leg") this.legCapsule(this.ctx, shape.len, shape.rTop, shape.rBot);
-            else if (shape.type === "foot") this.footSpike(this.ctx, shape.len, shape.r);
-            
+            this.traceShape(this.ctx, shape, Kinematics.boneScale(this.data, id, this.stretch));
             this.ctx.fill();
             if (!isShadow) this.ctx.stroke();
             this.ctx.restore();
         });
     }
 
+    // Draw the shapes of a pose onto another canvas (pose library thumbnails), unstretched,
+    // unrotated at the root and scaled to fit
+    renderThumbnail(canvas, rotations, padding = 4) {
+        const ctx = canvas.getContext('2d');
+        const pose = Kinematics.computePose(this.data, { ...rotations, root: 0 });
+        const positions = {};
+        Object.entries(pose).forEach(([id, t]) => positions[id] = { x: t.x, y: t.y });
+
+        // Shapes reach past their joints; the margin covers the torso and feet outlines
+        const margin = 30;
+        const xs = Object.values(positions).map(p => p.x), ys = Object.values(positions).map(p => p.y);
+        const minX = Math.min(...xs) - margin, maxX = Math.max(...xs) + margin;
+        const minY = Math.min(...ys) - margin, maxY = Math.max(...ys) + margin;
+        const scale = Math.min((canvas.width - 2 * padding) / (maxX - minX), (canvas.height - 2 * padding) / (maxY - minY));
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.scale(scale, scale);
+        ctx.translate(-(minX + maxX) / 2, -(minY + maxY) / 2);
+
+        // drawShapes works on this.ctx with the live stretch and colors; borrow it for one
+        // pass, in joint colors so black silhouettes don't vanish on the dark panel
+        const liveCtx = this.ctx, liveStretch = this.stretch, liveSilhouette = this.silhouetteMode;
+        this.ctx = ctx;
+        this.stretch = {};
+        this.silhouetteMode = false;
+        try {
+            this.drawShapes(positions, { ...rotations, root: 0 }, [0, 0], false);
+        } finally {
+            this.ctx = liveCtx;
+            this.stretch = liveStretch;
+            this.silhouetteMode = liveSilhouette;
+        }
+    }
+
+    // `stretch` lengthens arm/leg shapes along the bone and thins them to keep their area
+    traceShape(c, shape, stretch = 1) {
+        const thin = 1 / Math.sqrt(stretch);
+        if (shape.type === "torso") this.torsoHeart(c);
+        else if (shape.type === "waist") this.waistCircle(c);
+        else if (shape.type === "collar") this.collarShape(c);
+        else if (shape.type === "neck") this.neckShape(c);
+        else if (shape.type === "customTorsoHead") { 
+            c.translate(0, -24.8); 
+            c.scale(0.6, 0.6); 
+            this.torsoHeart(c); 
+        }
+        else if (shape.type === "arm") this.armBlade(c, shape.len * stretch, shape.rPivot * thin, shape.rTip * thin, shape.dir);
+        else if (shape.type === "hand") this.handShape(c, shape.r, shape.rt, shape.dir);
+        else if (shape.type === "leg") this.legCapsule(c, shape.len * stretch, shape.rTop * thin, shape.rBot * thin);
+        else if (shape.type === "foot") this.footSpike(c, shape.len, shape.r);
+    }
+
     // Shape drawing functions
     torsoHeart(c) {
         c.moveTo(0, 58); 
@@ -301,25 +575,124 @@ class SkeletonRenderer {
     }
 
     computeWorld(jointId, rotations, canvasCenter) {
-        const path = [];
-        let cur = jointId;
-        while (cur) { 
-            path.unshift(cur); 
-            cur = this.data.JOINT_DEFS[cur]?.parent; 
+        return Kinematics.computeWorld(this.data, jointId, rotations, canvasCenter, this.stretch);
+    }
+
+    // World position of the root: the workspace center moved by the root offset
+    getCenter() {
+        return [this.width / 2 + this.rootOffset.x, this.height / 2 + this.rootOffset.y];
+    }
+
+    setRootOffset(x, y) {
+        this.rootOffset = { x, y };
+    }
+
+    // Place the root at a world position
+    setRootPosition(x, y) {
+        this.setRootOffset(x - this.width / 2, y - this.height / 2);
+    }
+
+    // World y of the ground line (the bottom of the workspace)
+    getGroundY() {
+        return this.height;
+    }
+
+    // Hit testing: positions are world coordinates, thresholds are screen pixels
+    getJointAtPosition(x, y, rotations, threshold = 8) {
+        const center = this.getCenter();
+        let closest = null;
+        let minDist = threshold / this.camera.zoom;
+        this.data.HIERARCHY.forEach(([id]) => {
+            if (id === "nose") return;
+            const t = this.computeWorld(id, rotations, center);
+            const dist = Math.hypot(x - t.x, y - t.y);
+            // Parents win ties, so the root dot stays grabbable over the waist sitting on it
+            if (dist < minDist || (closest === null && dist === minDist)) {
+                minDist = dist;
+                closest = id;
+            }
+        });
+        return closest;
+    }
+
+    getShapeAtPosition(x, y, rotations) {
+        const center = this.getCenter();
+        // Topmost shape first
+        const order = [...this.data.RENDER_ORDER].reverse();
+        for (const id of order) {
+            const shape = this.data.SHAPES[id];
+            if (!shape || shape.type === "none") continue;
+            const t = this.computeWorld(id, rotations, center);
+            this.ctx.save();
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.translate(t.x, t.y);
+            this.ctx.rotate(this.d2r(t.angle));
+            this.ctx.beginPath();
+            this.traceShape(this.ctx, shape, Kinematics.boneScale(this.data, id, this.stretch));
+            this.ctx.restore();
+            if (this.ctx.isPointInPath(x, y)) return id;
         }
-        
-        let wx = canvasCenter[0], wy = canvasCenter[1], wa = 0, pa = 0;
-        for (const j of path) {
-            if (j === "root") continue;
-            const jDef = this.data.JOINT_DEFS[j];
-            const [px, py] = jDef.pivot;
-            const c = Math.cos(wa), s = Math.sin(wa);
-            wx += px * c - py * s;
-            wy += px * s + py * c;
-            pa = wa;
-            wa += this.d2r(rotations[j] || 0);
+        return null;
+    }
+
+    getIKTargetAtPosition(x, y, threshold = 10) {
+        for (const [chainId, tgt] of Object.entries(this.ikTargets)) {
+            if (Math.hypot(x - tgt.x, y - tgt.y) <= threshold / this.camera.zoom) return chainId;
         }
-        return { x: wx, y: wy, angle: this.normA(this.r2d(wa)), parentAngle: this.normA(this.r2d(pa)) };
+        return null;
+    }
+
+    getAimTargetAtPosition(x, y, threshold = 10) {
+        for (const [aimId, tgt] of Object.entries(this.aimTargets)) {
+            if (Math.hypot(x - tgt.x, y - tgt.y) <= threshold / this.camera.zoom) return aimId;
+        }
+        return null;
+    }
+
+    // Where the pole marker for a chain sits: its world point, or a fixed offset
+    // from the middle joint on the preferred side
+    getPoleDisplayPosition(chainId, rotations, offset = 40) {
+        const chainDef = this.data.IK_CHAINS[chainId];
+        if (!chainDef || !chainDef.pole || chainDef.joints.length < 3) return null;
+
+        const center = this.getCenter();
+        const joints = chainDef.joints;
+        const base = this.computeWorld(joints[0], rotations, center);
+        const mid = this.computeWorld(joints[Math.floor((joints.length - 1) / 2)], rotations, center);
+        const end = this.computeWorld(joints[joints.length - 1], rotations, center);
+        const from = { x: mid.x, y: mid.y };
+
+        const pole = chainDef.pole;
+        if (typeof pole.x === "number" && typeof pole.y === "number") {
+            return { x: pole.x, y: pole.y, from, isPoint: true };
+        }
+
+        const side = Math.sign(pole.side || 0);
+        const len = Math.hypot(end.x - base.x, end.y - base.y);
+        if (!side || len < 0.001) return null;
+        const nx = -(end.y - base.y) / len, ny = (end.x - base.x) / len;
+        return { x: mid.x + nx * side * offset, y: mid.y + ny * side * offset, from, isPoint: false };
+    }
+
+    getPoleAtPosition(x, y, rotations, threshold = 8) {
+        for (const chainId of Object.keys(this.ikTargets)) {
+            const pole = this.getPoleDisplayPosition(chainId, rotations);
+            if (pole && Math.hypot(x - pole.x, y - pole.y) <= threshold / this.camera.zoom) return chainId;
+        }
+        return null;
+    }
+
+    setPoleTarget(chainId, x, y) {
+        const chainDef = this.data.IK_CHAINS[chainId];
+        if (!chainDef) return;
+        chainDef.pole = { ...chainDef.pole, x, y };
+    }
+
+    // Drop the world point and bend toward the given side
+    setPoleSide(chainId, side) {
+        const chainDef = this.data.IK_CHAINS[chainId];
+        if (!chainDef) return;
+        chainDef.pole = { side };
     }
 
     setIKTarget(chainId, x, y) {
@@ -328,6 +701,45 @@ class SkeletonRenderer {
 
     removeIKTarget(chainId) {
         delete this.ikTargets[chainId];
+        delete this.ikResiduals[chainId];
+        delete this.ikDiagnostics[chainId];
+    }
+
+    setPin(jointId, x, y) {
+        this.pins[jointId] = { x, y };
+    }
+
+    removePin(jointId) {
+        delete this.pins[jointId];
+    }
+
+    clearPins() {
+        this.pins = {};
+    }
+
+    setBalance(balance) {
+        this.balance = balance;
+    }
+
+    setAimTarget(aimId, x, y) {
+        this.aimTargets[aimId] = { x, y };
+    }
+
+    removeAimTarget(aimId) {
+        delete this.aimTargets[aimId];
+    }
+
+    setIKResiduals(residuals, tolerance = this.ikTolerance) {
+        this.ikResiduals = residuals;
+        this.ikTolerance = tolerance;
+    }
+
+    setStretch(stretch) {
+        this.stretch = stretch || {};
+    }
+
+    setIKDiagnostics(diagnostics) {
+        this.ikDiagnostics = diagnostics || {};
     }
 
     toggleIKChain(chainId) {
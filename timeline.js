@@ -0,0 +1,207 @@
+// Keyframe Timeline for Skeleton Poses
+const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    step: t => (t < 1 ? 0 : 1)
+};
+
+class Timeline {
+    constructor(duration = 2) {
+        // Sorted by time: { time, rotations, ikTargets, easing, root }
+        // `easing` shapes the segment that starts at that keyframe; `root` is the root
+        // offset { x, y }, or null for keys that leave the root where it is
+        this.keyframes = [];
+        this.duration = duration;
+        this.currentTime = 0;
+
+        // Playback state
+        this.isPlaying = false;
+        this.loop = true;
+        this.playbackSpeed = 1;
+        this.maxStep = 0.1; // seconds; avoids jumps after a stalled frame
+    }
+
+    // Shortest-arc interpolation between two angles in degrees
+    static lerpAngle(a, b, t) {
+        const diff = ((b - a) % 360 + 540) % 360 - 180;
+        return a + diff * t;
+    }
+
+    setKeyframe(time, rotations, ikTargets = {}, easing = 'linear', root = null) {
+        time = Math.max(0, Math.min(this.duration, time));
+        const keyframe = {
+            time,
+            rotations: { ...rotations },
+            ikTargets: Timeline.cloneTargets(ikTargets),
+            easing: EASINGS[easing] ? easing : 'linear',
+            root: root ? { x: root.x, y: root.y } : null
+        };
+
+        const existing = this.getKeyframeIndex(time);
+        if (existing > -1) {
+            this.keyframes[existing] = keyframe;
+        } else {
+            this.keyframes.push(keyframe);
+            this.keyframes.sort((a, b) => a.time - b.time);
+        }
+        return keyframe;
+    }
+
+    removeKeyframe(time) {
+        const index = this.getKeyframeIndex(time);
+        if (index > -1) this.keyframes.splice(index, 1);
+        return index > -1;
+    }
+
+    getKeyframeIndex(time, epsilon = 1e-3) {
+        return this.keyframes.findIndex(k => Math.abs(k.time - time) < epsilon);
+    }
+
+    getKeyframeAt(time) {
+        const index = this.getKeyframeIndex(time);
+        return index > -1 ? this.keyframes[index] : null;
+    }
+
+    setEasing(time, easing) {
+        const keyframe = this.getKeyframeAt(time);
+        if (keyframe && EASINGS[easing]) keyframe.easing = easing;
+    }
+
+    setDuration(duration) {
+        this.duration = Math.max(0.1, duration);
+        this.keyframes = this.keyframes.filter(k => k.time <= this.duration);
+        this.currentTime = Math.min(this.currentTime, this.duration);
+    }
+
+    clear() {
+        this.keyframes = [];
+        this.currentTime = 0;
+        this.isPlaying = false;
+    }
+
+    // Playback
+    play() {
+        if (this.keyframes.length === 0) return;
+        if (!this.loop && this.currentTime >= this.duration) this.currentTime = 0;
+        this.isPlaying = true;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.currentTime = 0;
+    }
+
+    togglePlayback() {
+        if (this.isPlaying) this.pause();
+        else this.play();
+    }
+
+    seek(time) {
+        this.currentTime = Math.max(0, Math.min(this.duration, time));
+    }
+
+    // Advance the playhead; returns true while the timeline is driving the pose
+    update(deltaTime) {
+        if (!this.isPlaying) return false;
+
+        const step = Math.min(Math.max(deltaTime, 0), this.maxStep) * this.playbackSpeed;
+        let time = this.currentTime + step;
+
+        if (time > this.duration) {
+            if (this.loop) {
+                time %= this.duration;
+            } else {
+                time = this.duration;
+                this.isPlaying = false;
+            }
+        }
+
+        this.currentTime = time;
+        return true;
+    }
+
+    // Interpolated pose at a time: { rotations, ikTargets, root }, or null without keyframes
+    sample(time = this.currentTime) {
+        const keys = this.keyframes;
+        if (keys.length === 0) return null;
+
+        if (time <= keys[0].time) return Timeline.poseOf(keys[0]);
+        if (time >= keys[keys.length - 1].time) return Timeline.poseOf(keys[keys.length - 1]);
+
+        let i = 0;
+        while (i < keys.length - 1 && keys[i + 1].time < time) i++;
+        const from = keys[i];
+        const to = keys[i + 1];
+
+        const span = to.time - from.time;
+        const t = EASINGS[from.easing](span > 0 ? (time - from.time) / span : 1);
+
+        const rotations = { ...from.rotations };
+        Object.keys(to.rotations).forEach(id => {
+            const a = from.rotations[id] ?? to.rotations[id];
+            rotations[id] = Timeline.lerpAngle(a, to.rotations[id], t);
+        });
+
+        const ikTargets = Timeline.cloneTargets(from.ikTargets);
+        Object.entries(to.ikTargets).forEach(([chainId, b]) => {
+            const a = from.ikTargets[chainId];
+            if (!a) return;
+            ikTargets[chainId] = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        });
+
+        let root = from.root ? { ...from.root } : null;
+        if (from.root && to.root) {
+            root = { x: from.root.x + (to.root.x - from.root.x) * t, y: from.root.y + (to.root.y - from.root.y) * t };
+        }
+
+        return { rotations, ikTargets, root };
+    }
+
+    static poseOf(keyframe) {
+        return {
+            rotations: { ...keyframe.rotations },
+            ikTargets: Timeline.cloneTargets(keyframe.ikTargets),
+            root: keyframe.root ? { ...keyframe.root } : null
+        };
+    }
+
+    static cloneTargets(targets) {
+        const copy = {};
+        Object.entries(targets || {}).forEach(([chainId, t]) => copy[chainId] = { x: t.x, y: t.y });
+        return copy;
+    }
+
+    serialize() {
+        return {
+            duration: this.duration,
+            loop: this.loop,
+            playbackSpeed: this.playbackSpeed,
+            keyframes: this.keyframes.map(k => ({
+                time: k.time,
+                rotations: { ...k.rotations },
+                ikTargets: Timeline.cloneTargets(k.ikTargets),
+                easing: k.easing,
+                root: k.root ? { ...k.root } : null
+            }))
+        };
+    }
+
+    static deserialize(data) {
+        const timeline = new Timeline(data.duration);
+        timeline.loop = data.loop ?? true;
+        timeline.playbackSpeed = data.playbackSpeed ?? 1;
+        (data.keyframes || []).forEach(k => {
+            const root = k.root && Number.isFinite(k.root.x) && Number.isFinite(k.root.y) ? k.root : null;
+            timeline.setKeyframe(k.time, k.rotations, k.ikTargets, k.easing, root);
+        });
+        return timeline;
+    }
+}
+
+export { Timeline, EASINGS };